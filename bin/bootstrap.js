@@ -244,33 +244,62 @@ if (!phantom || phantom.version.major !== 1 || phantom.version.minor < 5) {
     phantom.initCasperCli = function initCasperCli() {
         var fs = require("fs");
 
-        if (!!phantom.casperArgs.options.version) {
-            console.log(phantom.casperVersion.toString());
-            phantom.exit(0);
-        } else if (phantom.casperArgs.get(0) === "test") {
-            phantom.casperScript = fs.absolute(fs.pathJoin(phantom.casperPath, 'tests', 'run.js'));
-            phantom.casperArgs.drop("test");
-        } else if (phantom.casperArgs.get(0) === "selftest") {
-            phantom.casperScript = fs.absolute(fs.pathJoin(phantom.casperPath, 'tests', 'run.js'));
-            phantom.casperArgs.options.includes = fs.pathJoin(phantom.casperPath, 'tests', 'selftest.js');
-            if (phantom.casperArgs.args.length > 1) {
-                // we want a single test file
-                phantom.casperArgs.args.push(fs.pathJoin(phantom.casperPath, phantom.casperArgs.get(1)));
-            } else {
-                // run the whole casperjs test suite
-                phantom.casperArgs.args.push(fs.pathJoin(phantom.casperPath, 'tests', 'suites'));
+        /**
+         * Loads the closest project configuration file, if any.
+         *
+         * @param  String  path  Lookup start directory or file
+         */
+        function loadConfig(path) {
+            var config = require('config');
+            var configFile = config.find(fs.isDirectory(path) ? path : fs.dirname(fs.absolute(path)));
+            if (configFile) {
+                phantom.casperConfig = config.load(configFile, phantom.casperArgs.get('profile'));
+                phantom.casperConfig.applyCli(phantom.casperArgs);
+            } else if (phantom.casperArgs.has('profile')) {
+                throw new CasperError('No configuration file found for profile ' + phantom.casperArgs.get('profile'));
             }
-            phantom.casperArgs.drop("selftest");
-        } else if (phantom.casperArgs.args.length === 0 || !!phantom.casperArgs.options.help) {
-            var phantomVersion = [phantom.version.major, phantom.version.minor, phantom.version.patch].join('.');
-            var f = require("utils").format;
-            console.log(f('CasperJS version %s at %s, using PhantomJS version %s',
-                        phantom.casperVersion.toString(),
-                        phantom.casperPath, phantomVersion));
-            console.log(fs.read(fs.pathJoin(phantom.casperPath, 'bin', 'usage.txt')));
-            phantom.exit(0);
         }
 
+        // subcommands: built-in ones live in modules/commands, others are
+        // casperjs-<name> modules
+        var commands = require('commands').create(phantom.casperPath);
+        var name = phantom.casperArgs.get(0), command = null;
+        try {
+            if (phantom.casperArgs.has('version')) {
+                command = commands.find('version');
+            } else if (phantom.casperArgs.args.length === 0) {
+                // a script receives its own --help option
+                command = commands.find('help');
+            } else if (commands.isBuiltin(name) || (typeof name === "string" && !fs.exists(name))) {
+                command = commands.find(name);
+                if (command) {
+                    phantom.casperArgs.drop(name);
+                }
+            }
+            if (command) {
+                if (phantom.casperArgs.has('help') && command.name !== 'help') {
+                    console.log(commands.usage(command));
+                    phantom.exit(0);
+                    return;
+                }
+                phantom.casperArgs = commands.parse(command, phantom.casperArgs);
+                if (command.config !== false) {
+                    // project configuration file, looked up from the first
+                    // path argument, eg. a test path, or the working directory
+                    var path = phantom.casperArgs.get(0);
+                    loadConfig(typeof path === "string" && fs.exists(path) ? path : fs.workingDirectory);
+                }
+                phantom.casperScript = commands.run(command, phantom.casperArgs);
+                if (!phantom.casperScript) {
+                    // the command handles its own execution
+                    return;
+                }
+            }
+        } catch (e) {
+            console.error(e.message);
+            phantom.exit(1);
+            return;
+        }
 
         if (!phantom.casperScript) {
             phantom.casperScript = phantom.casperArgs.get(0);
@@ -284,6 +313,16 @@ if (!phantom || phantom.version.major !== 1 || phantom.version.minor < 5) {
         // filter out the called script name from casper args
         phantom.casperArgs.drop(phantom.casperScript);
 
+        // project configuration file, looked up from the script directory
+        if (!command) {
+            try {
+                loadConfig(phantom.casperScript);
+            } catch (e) {
+                console.error(e.message);
+                phantom.exit(1);
+            }
+        }
+
         // passed casperjs script execution
         phantom.injectJs(phantom.casperScript);
     };
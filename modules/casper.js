@@ -28,12 +28,17 @@
  *
  */
 
-/*global CasperError console exports phantom require*/
+/*global CasperError console exports phantom require window*/
 
 var colorizer = require('colorizer');
 var events = require('events');
 var fs = require('fs');
+var har = require('har');
+var keyboard = require('keyboard');
 var mouse = require('mouse');
+var network = require('network');
+var pagestack = require('pagestack');
+var promises = require('promise');
 var qs = require('querystring');
 var tester = require('tester');
 var utils = require('utils');
@@ -80,6 +85,7 @@ var Casper = function Casper(options) {
     }
     // default options
     this.defaults = {
+        blockResources:      null,
         clientScripts:       [],
         colorizerType:       'Colorizer',
         exitOnError:         true,
@@ -91,6 +97,7 @@ var Casper = function Casper(options) {
         onError:             null,
         onLoadError:         null,
         onPageInitialized:   null,
+        onResourceError:     null,
         onResourceReceived:  null,
         onResourceRequested: null,
         onStepComplete:      null,
@@ -101,11 +108,16 @@ var Casper = function Casper(options) {
             localToRemoteUrlAccessEnabled: true,
             userAgent:                     defaultUserAgent
         },
+        retry:               null,
         stepTimeout:         null,
         timeout:             null,
-        verbose:             false
+        verbose:             false,
+        waitTimeout:         5000
     };
-    // options
+    // options: project configuration file values override defaults
+    if (phantom.casperConfig) {
+        this.defaults = utils.mergeObjects(this.defaults, phantom.casperConfig.get('casper'));
+    }
     this.options = utils.mergeObjects(this.defaults, options);
     // properties
     this.checker = null;
@@ -114,8 +126,11 @@ var Casper = function Casper(options) {
     this.currentResponse = undefined;
     this.currentUrl = 'about:blank';
     this.currentHTTPStatus = 0;
-    this.defaultWaitTimeout = 5000;
+    this.defaultWaitTimeout = this.options.waitTimeout;
     this.history = [];
+    this.keyboard = keyboard.create(this);
+    this.lastRetry = null;
+    this.lastStep = null;
     this.loadInProgress = false;
     this.logFormats = {};
     this.logLevels = ["debug", "info", "warning", "error"];
@@ -125,9 +140,16 @@ var Casper = function Casper(options) {
         warning: 'COMMENT',
         error:   'ERROR'
     };
+    this.mainPage = null;
     this.mouse = mouse.create(this);
+    this.network = network.create(this);
+    // HAR recording relies on network tracker entries, hence created afterwards
+    this.har = har.create(this);
     this.page = null;
+    this.pendingPromise = null;
+    this.pendingRetry = null;
     this.pendingWait = false;
+    this.popups = pagestack.create();
     this.requestUrl = 'about:blank';
     this.resources = [];
     this.result = {
@@ -135,6 +157,7 @@ var Casper = function Casper(options) {
         status: "success",
         time:   0
     };
+    this.routes = [];
     this.started = false;
     this.step = -1;
     this.steps = [];
@@ -170,6 +193,18 @@ var Casper = function Casper(options) {
         this.warn('[deprecated] ' + message);
     });
 
+    // HAR export on exit
+    if (this.cli && this.cli.has('har')) {
+        this.on('exit', function onExit() {
+            var harFile = this.cli.get('har');
+            if (!utils.isString(harFile)) {
+                this.warn('The --har option requires a file path');
+                return;
+            }
+            this.saveHar(harFile);
+        });
+    }
+
     // dispatching an event when instance has been constructed
     this.emit('init');
 };
@@ -177,6 +212,24 @@ var Casper = function Casper(options) {
 // Casper class is an EventEmitter
 utils.inherits(Casper, events.EventEmitter);
 
+/**
+ * Aborts the navigation steps queue: remaining steps are discarded and the
+ * suite completes normally once the current step is done, without exiting.
+ * The promises of the discarded steps are rejected with a CasperError.
+ *
+ * @param  String  reason  The abort reason (optional)
+ * @return Casper
+ */
+Casper.prototype.abort = function abort(reason) {
+    "use strict";
+    var discarded = this.steps.splice(Math.max(this.step, 0));
+    rejectSteps(discarded, new CasperError(f("Steps aborted: %s", reason || "no reason given")));
+    this.log(f("Aborting: %s (%d step%s discarded)", reason || "no reason given",
+               discarded.length, discarded.length > 1 ? "s" : ""), "info");
+    this.emit('abort', reason);
+    return this;
+};
+
 /**
  * Go a step back in browser's history
  *
@@ -319,6 +372,19 @@ Casper.prototype.checkStep = function checkStep(self, onComplete) {
     if (self.pendingWait || self.loadInProgress) {
         return;
     }
+    if (self.pendingRetry) {
+        var retry = self.pendingRetry;
+        self.pendingRetry = null;
+        if (self.retryStep(retry)) {
+            return;
+        }
+    }
+    if (self.pendingPromise) {
+        var pending = self.pendingPromise;
+        var promiseValue = pending.step.options && pending.step.options.promiseValue;
+        self.pendingPromise = null;
+        pending.step.deferred.resolve(utils.isFunction(promiseValue) ? promiseValue.call(self, self) : pending.value);
+    }
     var step = self.steps[self.step++];
     if (utils.isFunction(step)) {
         self.runStep(step);
@@ -351,6 +417,46 @@ Casper.prototype.clear = function clear() {
     return this;
 };
 
+/**
+ * Deletes all the cookies from the PhantomJS cookie jar.
+ *
+ * @return Casper
+ */
+Casper.prototype.clearCookies = function clearCookies() {
+    "use strict";
+    checkCookiesSupport();
+    phantom.clearCookies();
+    this.emit('cookies.cleared');
+    return this;
+};
+
+/**
+ * Stops processing the navigation steps and discards them, keeping the
+ * current page and navigation history: new steps can then be added and run
+ * without calling `start()` again. The promises of the steps which haven't
+ * been processed are rejected with a CasperError.
+ *
+ * @param  String  reason  The reason why the steps are discarded (optional)
+ * @return Casper
+ */
+Casper.prototype.clearSteps = function clearSteps(reason) {
+    "use strict";
+    if (this.checker !== null) {
+        clearInterval(this.checker);
+    }
+    this.checker = null;
+    rejectSteps(this.steps, new CasperError(f("Steps cleared: %s", reason || "no reason given")));
+    this.lastRetry = null;
+    this.lastStep = null;
+    this.pendingPromise = null;
+    this.pendingRetry = null;
+    this.pendingWait = false;
+    this.step = 0;
+    this.steps = [];
+    this.emit('steps.cleared', reason);
+    return this;
+};
+
 /**
  * Emulates a click on the element from the provided selector using the mouse
  * pointer, if possible.
@@ -422,6 +528,26 @@ Casper.prototype.debugPage = function debugPage() {
     return this;
 };
 
+/**
+ * Deletes the cookie(s) having the provided name from the PhantomJS cookie
+ * jar.
+ *
+ * @param  String  name  The cookie name
+ * @return Casper
+ */
+Casper.prototype.deleteCookie = function deleteCookie(name) {
+    "use strict";
+    checkCookiesSupport();
+    if (!utils.isString(name) || name.length === 0) {
+        throw new CasperError("deleteCookie() needs a cookie name");
+    }
+    if (!phantom.deleteCookie(name)) {
+        this.log(f("No cookie named %s could be deleted", name), "warning");
+    }
+    this.emit('cookie.deleted', name);
+    return this;
+};
+
 /**
  * Exit phantom on failure, with a logged error message.
  *
@@ -639,17 +765,11 @@ Casper.prototype.fill = function fill(selector, vals, submit) {
     }
     // File uploads
     if (fillResults.files && fillResults.files.length > 0) {
-        if (utils.isObject(selector) && selector.type === 'xpath') {
-            this.echo('⚠  Filling file upload fields is currently not supported using', 'COMMENT');
-            this.echo('   XPath selectors; Please use a CSS selector instead.', 'COMMENT');
-        } else {
-            (function _each(self) {
-                fillResults.files.forEach(function _forEach(file) {
-                    var fileFieldSelector = [selector, 'input[name="' + file.name + '"]'].join(' ');
-                    self.page.uploadFile(fileFieldSelector, file.path);
-                });
-            })(this);
-        }
+        (function _each(self) {
+            fillResults.files.forEach(function _forEach(file) {
+                self.uploadFile(file.selector, file.path);
+            });
+        })(this);
     }
     // Form submission?
     if (submit) {
@@ -694,6 +814,42 @@ Casper.prototype.getColorizer = function getColorizer() {
     return colorizer.create(this.options.colorizerType || 'Colorizer');
 };
 
+/**
+ * Retrieves the cookies stored in the PhantomJS cookie jar, including
+ * HttpOnly ones. An optional filter can be passed, either:
+ *
+ * - a String: the cookie name
+ * - an Object: cookie properties to match, eg. `{domain: ".google.com"}`
+ * - a Function: a callback receiving each cookie object
+ *
+ * @param  Mixed  filter  An optional filter
+ * @return Array
+ */
+Casper.prototype.getCookies = function getCookies(filter) {
+    "use strict";
+    checkCookiesSupport();
+    var cookies = phantom.cookies;
+    switch (utils.betterTypeOf(filter)) {
+        case "undefined":
+        case "null":
+            return cookies;
+        case "string":
+            return cookies.filter(function _filter(cookie) {
+                return cookie.name === filter;
+            });
+        case "object":
+            return cookies.filter(function _filter(cookie) {
+                return Object.keys(filter).every(function _every(prop) {
+                    return cookie[prop] === filter[prop];
+                });
+            });
+        case "function":
+            return cookies.filter(filter);
+        default:
+            throw new CasperError("Invalid cookie filter type: " + utils.betterTypeOf(filter));
+    }
+};
+
 /**
  * Retrieves current page contents, dealing with exotic other content types than HTML.
  *
@@ -794,6 +950,20 @@ Casper.prototype.getGlobal = function getGlobal(name) {
     }
 };
 
+/**
+ * Retrieves the network activity recorded since the instance has been
+ * started: every requested resource, including pending ones, with its state,
+ * timings, HTTP status and size. See the `network` module for the entries
+ * format.
+ *
+ * @param  Function  filter  An optional entry filter function
+ * @return Array
+ */
+Casper.prototype.getNetworkLog = function getNetworkLog(filter) {
+    "use strict";
+    return this.network.getEntries(filter);
+};
+
 /**
  * Retrieves current page title, if any.
  *
@@ -806,6 +976,26 @@ Casper.prototype.getTitle = function getTitle() {
     });
 };
 
+/**
+ * Makes the next processed navigation step the one having the provided
+ * label, which can be located before or after the current one.
+ *
+ * @param  String  label  The step label
+ * @return Casper
+ * @see    Casper#then
+ */
+Casper.prototype.gotoStep = function gotoStep(label) {
+    "use strict";
+    var index = findStepIndex(this.steps, label, 0);
+    if (index === -1) {
+        throw new CasperError(f('gotoStep(): no step labelled "%s"', label));
+    }
+    this.log(f('Going to step %d "%s"', index + 1, label), "debug");
+    this.step = index;
+    this.emit('step.goto', label, index);
+    return this;
+};
+
 /**
  * Initializes PhantomJS error handler.
  *
@@ -846,6 +1036,35 @@ Casper.prototype.injectClientUtils = function injectClientUtils() {
     }.toString().replace('__options', JSON.stringify(this.options)));
 };
 
+/**
+ * Loads cookies from a JSON file, as written by `saveCookies()`, into the
+ * PhantomJS cookie jar.
+ *
+ * @param  String  file  Path to the JSON cookies file
+ * @return Casper
+ */
+Casper.prototype.loadCookies = function loadCookies(file) {
+    "use strict";
+    var cookies;
+    checkCookiesSupport();
+    if (!fs.isFile(file)) {
+        throw new CasperError(f("Cookies file %s does not exist", file));
+    }
+    try {
+        cookies = JSON.parse(fs.read(file));
+    } catch (e) {
+        throw new CasperError(f("Unable to parse cookies file %s: %s", file, e));
+    }
+    if (!utils.isArray(cookies)) {
+        throw new CasperError(f("Cookies file %s must contain an array of cookies", file));
+    }
+    cookies.forEach(function _forEach(cookie) {
+        this.setCookie(cookie);
+    }, this);
+    this.log(f("Loaded %d cookie(s) from %s", cookies.length, file), "debug");
+    return this;
+};
+
 /**
  * Logs a message.
  *
@@ -985,6 +1204,26 @@ Casper.prototype.open = function open(location, settings) {
     return this;
 };
 
+/**
+ * Returns a promise for the last added navigation step, resolved once the
+ * step has been processed, and the page it possibly loaded is loaded. The
+ * resolution value depends on the method which added the step:
+ *
+ * - `then()`: the value returned by the step function
+ * - `thenEvaluate()`: the evaluated function result
+ * - `thenOpen()`: the HTTP response object
+ * - `waitFor()`: the value returned by the condition function
+ * - `waitForSelector()`: the number of matching elements
+ *
+ * The promise is rejected if the step throws, or when a wait times out.
+ *
+ * @return Promise
+ */
+Casper.prototype.promise = function promise() {
+    "use strict";
+    return this.lastStep ? this.lastStep.deferred.promise : promises.resolve();
+};
+
 /**
  * Reloads current page.
  *
@@ -1021,6 +1260,47 @@ Casper.prototype.repeat = function repeat(times, then) {
     return this;
 };
 
+/**
+ * Resets the instance navigation state: pending steps, history, loaded
+ * resources, network log and request routes are discarded, cookies are cleared, the current
+ * page and the popups are closed; `start()` must be called again to process new steps.
+ *
+ * @return Casper
+ */
+Casper.prototype.reset = function reset() {
+    "use strict";
+    this.clearSteps("Casper state has been reset");
+    this.currentResponse = undefined;
+    this.currentUrl = 'about:blank';
+    this.currentHTTPStatus = 0;
+    this.history = [];
+    this.loadInProgress = false;
+    this.har.clear();
+    if (this.mainPage) {
+        // reset from within withPopup()
+        this.page = this.mainPage;
+        this.mainPage = null;
+    }
+    this.network.clear();
+    Array.prototype.slice.call(this.popups).forEach(closePage);
+    this.popups = pagestack.create();
+    this.requestUrl = 'about:blank';
+    this.resources = [];
+    this.routes = [];
+    this.started = false;
+    this.step = -1;
+    if (utils.isWebPage(this.page) && this.page !== this.options.page) {
+        closePage(this.page);
+        this.page = null;
+    }
+    if (utils.isFunction(phantom.clearCookies)) {
+        phantom.clearCookies();
+    }
+    this.log("Casper state has been reset", "debug");
+    this.emit('reset');
+    return this;
+};
+
 /**
  * Checks if a given resource was loaded by the remote page.
  *
@@ -1052,6 +1332,78 @@ Casper.prototype.resourceExists = function resourceExists(test) {
     return this.resources.some(testFn);
 };
 
+/**
+ * Checks if a step run with a retry policy must be retried, according to the
+ * policy `when` predicate and remaining attempts; if so, the step and the
+ * substeps it added are rewound and the step is run again after the policy
+ * delay.
+ *
+ * @param  Object  retry  The step retry state
+ * @param  Error   error  The error thrown by the step, if any
+ * @return Boolean        Whether the step will be retried
+ */
+Casper.prototype.retryStep = function retryStep(retry, error) {
+    "use strict";
+    var policy = retry.policy;
+    if (!policy.when.call(this, this, error, this.history.length !== retry.history)) {
+        this.lastRetry = null;
+        return false;
+    }
+    if (retry.attempt >= policy.attempts) {
+        this.log(f("Step %d failed after %d attempt(s), giving up", retry.index + 1, retry.attempt), "warning");
+        this.emit('step.retry.failed', retry.step, retry.attempt, error);
+        this.lastRetry = null;
+        return false;
+    }
+    var delay = Math.round(policy.delay * Math.pow(policy.backoff, retry.attempt - 1));
+    // remove the substeps added by the failed attempt
+    while (this.steps[retry.index + 1] && this.steps[retry.index + 1].level > retry.step.level) {
+        this.steps.splice(retry.index + 1, 1);
+    }
+    // the step promise is resolved by the last attempt only
+    this.pendingPromise = null;
+    this.step = retry.index;
+    this.lastRetry = retry;
+    this.log(f("Retrying step %d in %dms (attempt %d/%d)%s", retry.index + 1, delay, retry.attempt + 1,
+               policy.attempts, error ? ': ' + error : ''), "info");
+    this.emit('step.retry', retry.step, retry.attempt + 1, error);
+    this.waitStart();
+    setTimeout(function _retry(self) {
+        self.waitDone();
+    }, delay, this);
+    return true;
+};
+
+/**
+ * Registers a route handler for the requests matching the provided pattern,
+ * which can be either:
+ *
+ * - a String: a glob pattern matching the whole request url, see
+ *   `utils.globToRegExp()`
+ * - a RegExp: tested against the request url
+ * - a Function: receiving the request data, returning true when matching
+ *
+ * The handler is called with the request data and a request controller
+ * exposing `abort()`, `redirect(url)`, `respond(body, contentType)` and
+ * `setHeader(name, value)` methods (PhantomJS >= 1.9).
+ *
+ * @param  Mixed     pattern  The request matching pattern
+ * @param  Function  handler  The route handler
+ * @return Casper
+ */
+Casper.prototype.route = function route(pattern, handler) {
+    "use strict";
+    if (!utils.isFunction(handler)) {
+        throw new CasperError("route() needs a handler function");
+    }
+    this.routes.push({
+        pattern: pattern,
+        match:   createRequestMatcher(pattern),
+        handler: handler
+    });
+    return this;
+};
+
 /**
  * Runs the whole suite of steps.
  *
@@ -1080,6 +1432,9 @@ Casper.prototype.runStep = function runStep(step) {
     "use strict";
     var skipLog = utils.isObject(step.options) && step.options.skipLog === true;
     var stepInfo = f("Step %d/%d", this.step, this.steps.length);
+    if (step.label) {
+        stepInfo += f(' "%s"', step.label);
+    }
     var stepResult;
     if (!skipLog && /^http/.test(this.getCurrentUrl())) {
         this.log(stepInfo + f(' %s (HTTP %d)', this.getCurrentUrl(), this.currentHTTPStatus), "info");
@@ -1100,16 +1455,162 @@ Casper.prototype.runStep = function runStep(step) {
         }, this.options.stepTimeout, this, new Date().getTime(), this.step);
     }
     this.emit('step.start', step);
-    stepResult = step.call(this, this);
+    var retryPolicy = getRetryPolicy(this, step);
+    if (retryPolicy) {
+        var previous = this.lastRetry;
+        this.pendingRetry = {
+            step:    step,
+            index:   this.step - 1,
+            policy:  retryPolicy,
+            attempt: previous && previous.step === step && previous.index === this.step - 1 ? previous.attempt + 1 : 1,
+            history: this.history.length
+        };
+    }
+    try {
+        stepResult = step.call(this, this);
+    } catch (error) {
+        var retry = this.pendingRetry;
+        this.pendingRetry = null;
+        if (retry && this.retryStep(retry, error)) {
+            return;
+        }
+        if (step.deferred) {
+            step.deferred.reject(error);
+        }
+        throw error;
+    }
+    if (step.deferred) {
+        // resolved once the step and the navigation it triggered are done
+        this.pendingPromise = {
+            step:  step,
+            value: stepResult
+        };
+    }
     if (utils.isFunction(this.options.onStepComplete)) {
         this.options.onStepComplete.call(this, this, stepResult);
     }
     if (!skipLog) {
-        this.emit('step.complete', stepResult);
+        this.emit('step.complete', stepResult, step);
         this.log(stepInfo + f(": done in %dms.", new Date().getTime() - this.startTime), "info");
     }
 };
 
+/**
+ * Saves the cookies stored in the PhantomJS cookie jar to a JSON file, which
+ * can be loaded back using `loadCookies()`.
+ *
+ * @param  String  file  Path to the JSON cookies file
+ * @return Casper
+ */
+Casper.prototype.saveCookies = function saveCookies(file) {
+    "use strict";
+    checkCookiesSupport();
+    try {
+        fs.write(file, JSON.stringify(phantom.cookies, null, 4), 'w');
+    } catch (e) {
+        throw new CasperError(f("Unable to save cookies to %s: %s", file, e));
+    }
+    this.log(f("Saved %d cookie(s) to %s", phantom.cookies.length, file), "debug");
+    return this;
+};
+
+/**
+ * Saves the page loads and network requests recorded during the session to
+ * a file, as an HTTP Archive (HAR 1.2). The archive can also be generated on
+ * exit using the `--har=path` CLI option.
+ *
+ * @param  String  file  Path to the HAR file
+ * @return Casper
+ */
+Casper.prototype.saveHar = function saveHar(file) {
+    "use strict";
+    this.har.save(file);
+    this.log(f("Saved HAR log of %d page(s) to %s", this.har.pages.length, file), "debug");
+    return this;
+};
+
+/**
+ * Sends keyboard events to the element matching the provided selector,
+ * after having focused it.
+ *
+ * Available options are:
+ *
+ * - String  modifiers:  Modifier keys to hold, eg. "ctrl+shift"
+ * - Boolean reset:      Empty the field value before sending keys
+ *
+ * @param  String        selector  A DOM CSS3/XPath selector
+ * @param  String|Array  keys      A string, or an array of strings and key codes
+ * @param  Object        options   Options (optional)
+ * @return Casper
+ * @see    Keyboard#sendKeys
+ */
+Casper.prototype.sendKeys = function sendKeys(selector, keys, options) {
+    "use strict";
+    if (!this.started) {
+        throw new CasperError("Casper not started, can't sendKeys()");
+    }
+    if (phantom.version.minor < 7) {
+        this.warn('Sending keyboard events is supported in PhantomJS >= 1.7');
+    }
+    options = utils.mergeObjects({
+        modifiers: null,
+        reset:     false
+    }, options);
+    this.log(f("Sending keys to selector: %s", selector), "debug");
+    var focused = this.evaluate(function _evaluate(selector, reset) {
+        var element = window.__utils__.findOne(selector);
+        if (!element) {
+            return false;
+        }
+        if (reset) {
+            if (element.isContentEditable) {
+                element.innerHTML = '';
+            } else {
+                element.value = '';
+            }
+        }
+        element.focus();
+        return true;
+    }, {
+        selector: selector,
+        reset:    options.reset
+    });
+    if (!focused) {
+        throw new CasperError(f("Cannot send keys to nonexistent selector: %s", selector));
+    }
+    this.keyboard.sendKeys(keys, options.modifiers);
+    return this;
+};
+
+/**
+ * Adds a cookie to the PhantomJS cookie jar. The cookie object must have
+ * `name` and `value` properties; when no `domain` is set, the one of the
+ * current page is used.
+ *
+ * @param  Object  cookie  A cookie object (name, value, domain, path, httponly, secure, expires)
+ * @return Casper
+ */
+Casper.prototype.setCookie = function setCookie(cookie) {
+    "use strict";
+    checkCookiesSupport();
+    if (!utils.isObject(cookie) || !utils.isString(cookie.name) || !('value' in cookie)) {
+        throw new CasperError("setCookie() needs a cookie object having name and value properties");
+    }
+    cookie = utils.mergeObjects({path: '/'}, cookie);
+    if (!cookie.domain) {
+        var match = /^https?:\/\/([^\/:]+)/i.exec(this.page ? this.page.url : this.requestUrl);
+        if (!match) {
+            throw new CasperError(f("Unable to guess a domain for cookie %s; please set one", cookie.name));
+        }
+        cookie.domain = match[1];
+    }
+    if (!phantom.addCookie(cookie)) {
+        throw new CasperError(f("Unable to set cookie %s for domain %s", cookie.name, cookie.domain));
+    }
+    this.emit('cookie.added', cookie);
+    return this;
+};
+
 /**
  * Sets HTTP authentication parameters.
  *
@@ -1132,6 +1633,96 @@ Casper.prototype.setHttpAuth = function setHttpAuth(username, password) {
     return this;
 };
 
+/**
+ * Skips the navigation steps located between the current one and the next
+ * step having the provided label.
+ *
+ * @param  String  label  The step label
+ * @return Casper
+ * @see    Casper#then
+ */
+Casper.prototype.skipTo = function skipTo(label) {
+    "use strict";
+    var start = Math.max(this.step, 0);
+    var index = findStepIndex(this.steps, label, start);
+    if (index === -1) {
+        throw new CasperError(f('skipTo(): no step labelled "%s" ahead', label));
+    }
+    this.log(f('Skipping %d step(s) to step "%s"', index - start, label), "debug");
+    this.step = index;
+    this.emit('step.skip', label, index - start);
+    return this;
+};
+
+/**
+ * Switches the page context to the child frame matching the provided name or
+ * index. Client-side utilities are injected within the frame, so all
+ * selector-based methods operate on its document until the context is
+ * switched back.
+ *
+ * @param  String|Number  frameInfo  The frame name or index
+ * @return Casper
+ */
+Casper.prototype.switchToFrame = function switchToFrame(frameInfo) {
+    "use strict";
+    if (!this.started) {
+        throw new CasperError("Casper not started, can't switchToFrame()");
+    }
+    if (!('switchToChildFrame' in this.page)) {
+        throw new CasperError("Switching frames requires PhantomJS >= 1.7");
+    }
+    if (utils.isNumber(frameInfo)) {
+        if (frameInfo < 0 || frameInfo >= this.page.childFramesCount()) {
+            throw new CasperError(f('Frame number "%d" is out of bounds.', frameInfo));
+        }
+    } else if (this.page.childFramesName().indexOf(frameInfo) === -1) {
+        throw new CasperError(f('No frame named "%s" was found.', frameInfo));
+    }
+    this.page.switchToChildFrame(frameInfo);
+    this.log(f('Switched to frame "%s"', frameInfo), "debug");
+    this.emit('frame.changed', frameInfo);
+    this.injectClientUtils();
+    return this;
+};
+
+/**
+ * Switches the page context back to the main frame.
+ *
+ * @return Casper
+ */
+Casper.prototype.switchToMainFrame = function switchToMainFrame() {
+    "use strict";
+    if (!this.started) {
+        throw new CasperError("Casper not started, can't switchToMainFrame()");
+    }
+    if (!('switchToMainFrame' in this.page)) {
+        throw new CasperError("Switching frames requires PhantomJS >= 1.7");
+    }
+    this.page.switchToMainFrame();
+    this.log("Switched to main frame", "debug");
+    this.emit('frame.changed', null);
+    return this;
+};
+
+/**
+ * Switches the page context back to the parent of the current frame.
+ *
+ * @return Casper
+ */
+Casper.prototype.switchToParentFrame = function switchToParentFrame() {
+    "use strict";
+    if (!this.started) {
+        throw new CasperError("Casper not started, can't switchToParentFrame()");
+    }
+    if (!('switchToParentFrame' in this.page)) {
+        throw new CasperError("Switching frames requires PhantomJS >= 1.7");
+    }
+    this.page.switchToParentFrame();
+    this.log("Switched to parent frame", "debug");
+    this.emit('frame.changed', this.page.frameName || null);
+    return this;
+};
+
 /**
  * Configures and starts Casper.
  *
@@ -1183,25 +1774,58 @@ Casper.prototype.start = function start(location, then) {
     if (utils.isString(location) && location.length > 0) {
         return this.thenOpen(location, utils.isFunction(then) ? then : this.createStep(function _step() {
             this.log("start page is loaded", "debug");
+        }, {
+            internal: true
         }));
     }
     return this;
 };
 
 /**
- * Schedules the next step in the navigation process.
- *
- * @param  function  step  A function to be called as a step
+ * Schedules the next step in the navigation process. An optional label can be
+ * passed, which is shown in logs and can be used to navigate to the step using
+ * `gotoStep()` or `skipTo()`.
+ *
+ * Step options can also be passed, eg. a `retry` policy object:
+ *
+ * - Number    attempts:  Maximum number of attempts (default: 3)
+ * - Number    delay:     Delay before retrying, in milliseconds (default: 1000)
+ * - Number    backoff:   Delay multiplier applied after each attempt (default: 1)
+ * - Function  when:      Predicate receiving the casper instance, the error
+ *                        thrown by the step if any, and whether a page has
+ *                        been loaded; by default the step is retried on error
+ *                        or when the loaded page HTTP status is >= 500
+ *
+ * @param  String    label    The step label (optional)
+ * @param  function  step     A function to be called as a step
+ * @param  Object    options  Step options (optional)
  * @return Casper
  */
-Casper.prototype.then = function then(step) {
+Casper.prototype.then = function then(label, step, options) {
     "use strict";
     if (!this.started) {
         throw new CasperError("Casper not started; please use Casper#start");
     }
+    if (!utils.isString(label)) {
+        options = step;
+        step = label;
+        label = undefined;
+    }
     if (!utils.isFunction(step)) {
         throw new CasperError("You can only define a step as a function");
     }
+    if (this.steps.indexOf(step) > -1) {
+        // the same function is queued several times, eg. using repeat()
+        step = cloneStep(step);
+    }
+    if (label) {
+        step.label = label;
+    }
+    step.deferred = promises.defer();
+    this.lastStep = step;
+    if (utils.isObject(options)) {
+        step.options = utils.mergeObjects(utils.mergeObjects({}, step.options), options);
+    }
     // check if casper is running
     if (this.checker === null) {
         // append step to the end of the queue
@@ -1228,20 +1852,22 @@ Casper.prototype.then = function then(step) {
  * Adds a new navigation step for clicking on a provided link selector
  * and execute an optional next step.
  *
- * @param  String   selector        A DOM CSS3 compatible selector
- * @param  Function then            Next step function to execute on page loaded (optional)
+ * @param  String   selector  A DOM CSS3 compatible selector
+ * @param  Function then      Next step function to execute on page loaded (optional)
+ * @param  Object   options   Click step options, eg. a `retry` policy (optional)
  * @return Casper
  * @see    Casper#click
  * @see    Casper#then
  */
-Casper.prototype.thenClick = function thenClick(selector, then, fallbackToHref) {
+Casper.prototype.thenClick = function thenClick(selector, then, options) {
     "use strict";
-    if (arguments.length > 2) {
+    if (arguments.length > 2 && !utils.isObject(options)) {
         this.emit("deprecated", "The thenClick() method does not process the fallbackToHref argument since 0.6");
+        options = undefined;
     }
     this.then(function _step() {
         this.click(selector);
-    });
+    }, options);
     return utils.isFunction(then) ? this.then(then) : this;
 };
 
@@ -1257,14 +1883,16 @@ Casper.prototype.thenClick = function thenClick(selector, then, fallbackToHref)
 Casper.prototype.thenEvaluate = function thenEvaluate(fn, context) {
     "use strict";
     return this.then(function _step() {
-        this.evaluate(fn, context);
+        return this.evaluate(fn, context);
     });
 };
 
 /**
- * Adds a new navigation step for opening the provided location.
+ * Adds a new navigation step for opening the provided location. A `retry`
+ * policy can be set in the settings, see `Casper#then`.
  *
  * @param  String   location  The URL to load
+ * @param  Object   settings  Request settings (optional)
  * @param  function then      Next step function to execute on page loaded (optional)
  * @return Casper
  * @see    Casper#open
@@ -1278,7 +1906,11 @@ Casper.prototype.thenOpen = function thenOpen(location, settings, then) {
     this.then(this.createStep(function _step() {
         this.open(location, settings);
     }, {
-        skipLog: true
+        skipLog:      true,
+        retry:        settings ? settings.retry : undefined,
+        promiseValue: function _promiseValue(casper) {
+            return casper.currentResponse;
+        }
     }));
     return utils.isFunction(then) ? this.then(then) : this;
 };
@@ -1299,6 +1931,59 @@ Casper.prototype.thenOpenAndEvaluate = function thenOpenAndEvaluate(location, fn
     return this.thenOpen(location).thenEvaluate(fn, context);
 };
 
+/**
+ * Selects one or more local files to upload in the file input field matching
+ * the provided selector. The field doesn't need to be contained in a form.
+ *
+ * Passing several paths requires the field to have the `multiple` attribute.
+ *
+ * @param  String        selector  A DOM CSS3/XPath selector to a file input field
+ * @param  String|Array  paths     A local file path, or an array of paths
+ * @return Casper
+ */
+Casper.prototype.uploadFile = function uploadFile(selector, paths) {
+    "use strict";
+    if (!this.started) {
+        throw new CasperError("Casper not started, can't uploadFile()");
+    }
+    paths = utils.isArray(paths) ? paths : [paths];
+    if (paths.length === 0) {
+        throw new CasperError("uploadFile(): no file path provided");
+    }
+    paths = paths.map(function _map(path) {
+        if (!utils.isString(path) || !fs.isFile(path)) {
+            throw new CasperError(f("uploadFile(): cannot find file to upload: %s", path));
+        }
+        return fs.absolute(path);
+    });
+    var field = this.evaluate(function _evaluate(selector) {
+        var element = window.__utils__.findOne(selector);
+        if (!element) {
+            return null;
+        }
+        return {
+            cssPath:  window.__utils__.getElementCssPath(element),
+            isFile:   element.nodeName.toLowerCase() === "input" &&
+                      (element.getAttribute('type') || "").toLowerCase() === "file",
+            multiple: element.hasAttribute('multiple')
+        };
+    }, { selector: selector });
+    if (!utils.isObject(field)) {
+        throw new CasperError(f("uploadFile(): no element matching selector found: %s", selector));
+    }
+    if (!field.isFile) {
+        throw new CasperError(f("uploadFile(): element matching %s is not a file input field", selector));
+    }
+    if (paths.length > 1 && !field.multiple) {
+        this.warn("Field matching %s doesn't accept multiple files; only %s will be uploaded", selector, paths[0]);
+        paths = paths.slice(0, 1);
+    }
+    this.log(f("Uploading %s using field %s", paths.join(', '), selector), "debug");
+    this.page.uploadFile(field.cssPath, paths.length === 1 ? paths[0] : paths);
+    this.emit('upload', selector, paths);
+    return this;
+};
+
 /**
  * Sets the user-agent string currently used when requesting urls.
  *
@@ -1391,6 +2076,8 @@ Casper.prototype.wait = function wait(timeout, then) {
           }
           self.waitDone();
         }, timeout, this);
+    }, {
+        internal: true
     });
 };
 
@@ -1424,7 +2111,8 @@ Casper.prototype.waitFor = function waitFor(testFx, then, onTimeout, timeout) {
     if (then && !utils.isFunction(then)) {
         this.die("waitFor() next step definition must be a function");
     }
-    return this.then(function _step() {
+    var deferred, result;
+    this.then(function _step() {
         this.waitStart();
         var start = new Date().getTime();
         var condition = false;
@@ -1432,6 +2120,11 @@ Casper.prototype.waitFor = function waitFor(testFx, then, onTimeout, timeout) {
             if ((new Date().getTime() - start < timeout) && !condition) {
                 condition = testFx.call(self, self);
             } else {
+                if (condition) {
+                    result = condition;
+                } else {
+                    deferred.reject(new CasperError(f("waitFor() timeout of %dms expired", timeout)));
+                }
                 self.waitDone();
                 if (!condition) {
                     self.log("Casper.waitFor() timeout", "warning");
@@ -1450,7 +2143,55 @@ Casper.prototype.waitFor = function waitFor(testFx, then, onTimeout, timeout) {
                 clearInterval(interval);
             }
         }, 100, this, testFx, timeout, onTimeout);
+    }, {
+        internal:     true,
+        promiseValue: function _promiseValue() {
+            return result;
+        }
     });
+    deferred = this.lastStep.deferred;
+    return this;
+};
+
+/**
+ * Waits until no network request is pending and no network activity occured
+ * for the provided amount of time, eg. when a page keeps loading data using
+ * XHR after it's been loaded.
+ *
+ * @param  Number    idleTime   The required idle time, in milliseconds (default: 500)
+ * @param  Function  then       The next step to perform (optional)
+ * @param  Function  onTimeout  A callback function to call on timeout (optional)
+ * @param  Number    timeout    The max amount of time to wait, in milliseconds (optional)
+ * @return Casper
+ */
+Casper.prototype.waitForNetworkIdle = function waitForNetworkIdle(idleTime, then, onTimeout, timeout) {
+    "use strict";
+    idleTime = utils.isNumber(idleTime) ? idleTime : 500;
+    return this.waitFor(function _check() {
+        return this.network.isIdle(idleTime);
+    }, then, onTimeout, timeout);
+};
+
+/**
+ * Waits until a popup matching the provided information has been opened and
+ * loaded.
+ *
+ * @param  String|RegExp  urlPattern  An url string or RegExp pattern to match the popup url against
+ * @param  Function       then        The next step to perform (optional)
+ * @param  Function       onTimeout   A callback function to call on timeout (optional)
+ * @param  Number         timeout     The max amount of time to wait, in milliseconds (optional)
+ * @return Casper
+ */
+Casper.prototype.waitForPopup = function waitForPopup(urlPattern, then, onTimeout, timeout) {
+    "use strict";
+    return this.waitFor(function _check() {
+        try {
+            this.popups.find(urlPattern);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }, then, onTimeout, timeout);
 };
 
 /**
@@ -1485,7 +2226,11 @@ Casper.prototype.waitForSelector = function waitForSelector(selector, then, onTi
     "use strict";
     timeout = timeout ? timeout : this.defaultWaitTimeout;
     return this.waitFor(function _check() {
-        return this.exists(selector);
+        return this.exists(selector) && this.evaluate(function _evaluate(selector) {
+            return __utils__.findAll(selector).length;
+        }, {
+            selector: selector
+        });
     }, then, onTimeout, timeout);
 };
 
@@ -1543,6 +2288,70 @@ Casper.prototype.waitWhileVisible = function waitWhileVisible(selector, then, on
     }, then, onTimeout, timeout);
 };
 
+/**
+ * Adds steps processing a step function within the context of the child
+ * frame matching the provided name or index; the page context is switched
+ * back to the parent frame afterwards.
+ *
+ *     casper.withFrame('payment', function() {
+ *         this.fill('form', { card: '4242424242424242' }, true);
+ *     });
+ *
+ * @param  String|Number  frameInfo  The frame name or index
+ * @param  Function       then       The step function to process within the frame
+ * @return Casper
+ * @see    Casper#switchToFrame
+ */
+Casper.prototype.withFrame = function withFrame(frameInfo, then) {
+    "use strict";
+    if (!utils.isFunction(then)) {
+        throw new CasperError("withFrame() requires a step function");
+    }
+    this.then(function _step() {
+        this.switchToFrame(frameInfo);
+    }, {
+        internal: true
+    });
+    this.then(then);
+    return this.then(function _step() {
+        this.switchToParentFrame();
+    }, {
+        internal: true
+    });
+};
+
+/**
+ * Adds steps processing a step function within the context of the popup
+ * matching the provided information; the main page is restored afterwards.
+ *
+ * @param  Mixed     popupInfo  A popup url string, RegExp pattern or WebPage instance
+ * @param  Function  then       The step function to process within the popup
+ * @return Casper
+ * @see    Stack#find
+ */
+Casper.prototype.withPopup = function withPopup(popupInfo, then) {
+    "use strict";
+    if (!utils.isFunction(then)) {
+        throw new CasperError("withPopup() requires a step function");
+    }
+    this.then(function _step() {
+        var popupPage = this.popups.find(popupInfo);
+        this.mainPage = this.page;
+        this.page = popupPage;
+        this.log(f('Switched to popup at %s', popupPage.url), "debug");
+    }, {
+        internal: true
+    });
+    this.then(then);
+    return this.then(function _step() {
+        this.page = this.mainPage;
+        this.mainPage = null;
+        this.log("Switched back to main page", "debug");
+    }, {
+        internal: true
+    });
+};
+
 /**
  * Changes the current page zoom factor.
  *
@@ -1584,14 +2393,29 @@ Casper.extend = function(proto) {
 exports.Casper = Casper;
 
 /**
- * Creates a new WebPage instance for Casper use.
+ * Closes a WebPage instance, releasing it on PhantomJS versions lacking
+ * `WebPage#close()`.
  *
- * @param  Casper  casper  A Casper instance
- * @return WebPage
+ * @param  WebPage  page  A WebPage instance
  */
-function createPage(casper) {
+function closePage(page) {
+    "use strict";
+    if (utils.isFunction(page.close)) {
+        page.close();
+    } else if (utils.isFunction(page.release)) {
+        page.release();
+    }
+}
+
+/**
+ * Sets up the handlers of a WebPage instance which are shared by the main
+ * page and the popups: dialogs, console messages and errors.
+ *
+ * @param  Casper   casper  A Casper instance
+ * @param  WebPage  page    A WebPage instance
+ */
+function configurePage(casper, page) {
     "use strict";
-    var page = require('webpage').create();
     page.onAlert = function onAlert(message) {
         casper.log('[alert] ' + message, "info", "remote");
         casper.emit('remote.alert', message);
@@ -1614,6 +2438,21 @@ function createPage(casper) {
     page.onError = function onError(msg, trace) {
         casper.emit('page.error', msg, trace);
     };
+    page.onPrompt = function onPrompt(message, value) {
+        return casper.filter('page.prompt', message, value);
+    };
+}
+
+/**
+ * Creates a new WebPage instance for Casper use.
+ *
+ * @param  Casper  casper  A Casper instance
+ * @return WebPage
+ */
+function createPage(casper) {
+    "use strict";
+    var page = require('webpage').create();
+    configurePage(casper, page);
     page.onInitialized = function onInitialized() {
         casper.emit('page.initialized', this);
         if (utils.isFunction(casper.options.onPageInitialized)) {
@@ -1669,8 +2508,45 @@ function createPage(casper) {
                      url, navigationType, navigationLocked, isMainFrame), "debug");
         casper.emit('navigation.requested', url, navigationType, navigationLocked, isMainFrame);
     };
-    page.onPrompt = function onPrompt(message, value) {
-        return casper.filter('page.prompt', message, value);
+    page.onPageCreated = function onPageCreated(popupPage) {
+        // popups share the dialogs, console and errors handling of the main
+        // page, but have their own resources and load state bookkeeping
+        configurePage(casper, popupPage);
+        popupPage.settings = utils.mergeObjects(popupPage.settings, casper.options.pageSettings);
+        popupPage.viewportSize = casper.page.viewportSize;
+        popupPage.onPageCreated = onPageCreated;
+        popupPage.onLoadStarted = function onLoadStarted() {
+            if (casper.page === popupPage) {
+                casper.loadInProgress = true;
+            }
+        };
+        popupPage.onLoadFinished = function onLoadFinished(status) {
+            if (casper.popups.indexOf(popupPage) === -1) {
+                casper.popups.push(popupPage);
+            }
+            casper.emit('popup.loaded', popupPage, status);
+            if (casper.page === popupPage) {
+                casper.loadInProgress = false;
+            }
+        };
+        popupPage.onClosing = function onClosing(closedPage) {
+            casper.popups.clean(closedPage);
+            casper.emit('popup.closed', closedPage);
+        };
+        popupPage.onResourceReceived = function onResourceReceived(resource) {
+            casper.emit('popup.resource.received', popupPage, resource);
+        };
+        popupPage.onResourceRequested = function onResourceRequested(request) {
+            casper.emit('popup.resource.requested', popupPage, request);
+        };
+        casper.emit('popup.created', popupPage);
+    };
+    page.onResourceError = function onResourceError(resourceError) {
+        casper.log(f('Error loading resource %s: %s', resourceError.url, resourceError.errorString), "debug");
+        casper.emit('resource.error', resourceError);
+        if (utils.isFunction(casper.options.onResourceError)) {
+            casper.options.onResourceError.call(casper, casper, resourceError);
+        }
     };
     page.onResourceReceived = function onResourceReceived(resource) {
         casper.emit('resource.received', resource);
@@ -1693,11 +2569,12 @@ function createPage(casper) {
             casper.emit('location.changed', resource.url);
         }
     };
-    page.onResourceRequested = function onResourceRequested(request) {
+    page.onResourceRequested = function onResourceRequested(request, networkRequest) {
         casper.emit('resource.requested', request);
         if (utils.isFunction(casper.options.onResourceRequested)) {
             casper.options.onResourceRequested.call(casper, casper, request);
         }
+        routeRequest(casper, request, networkRequest);
     };
     page.onUrlChanged = function onUrlChanged(url) {
         casper.log(f('url changed to "%s"', url), "debug");
@@ -1706,3 +2583,197 @@ function createPage(casper) {
     casper.emit('page.created', page);
     return page;
 }
+
+/**
+ * Creates a copy of a step function, along with its label and options.
+ *
+ * @param  Function  step
+ * @return Function
+ */
+function cloneStep(step) {
+    "use strict";
+    var clone = function _step() {
+        return step.apply(this, arguments);
+    };
+    clone.label = step.label;
+    clone.options = step.options;
+    return clone;
+}
+
+/**
+ * Creates a controller allowing to alter a pending network request.
+ *
+ * @param  Casper  casper          A Casper instance
+ * @param  Object  request         The request data
+ * @param  Object  networkRequest  The PhantomJS network request object
+ * @return Object
+ */
+function createRequestController(casper, request, networkRequest) {
+    "use strict";
+    function call(method, args) {
+        if (!networkRequest || !utils.isFunction(networkRequest[method])) {
+            casper.warn(f("Unable to %s request to %s: PhantomJS >= 1.9 is required", method, request.url));
+            return false;
+        }
+        networkRequest[method].apply(networkRequest, args);
+        return true;
+    }
+    return {
+        aborted: false,
+        abort: function abort() {
+            if (call('abort', [])) {
+                this.aborted = true;
+                casper.emit('resource.aborted', request);
+            }
+        },
+        redirect: function redirect(url) {
+            if (call('changeUrl', [url])) {
+                casper.emit('resource.redirected', request, url);
+            }
+        },
+        respond: function respond(body, contentType) {
+            this.redirect(f('data:%s;base64,%s', contentType || 'text/html',
+                            window.btoa(unescape(encodeURIComponent(body)))));
+        },
+        setHeader: function setHeader(name, value) {
+            call('setHeader', [name, value]);
+        }
+    };
+}
+
+/**
+ * Creates a function checking if some request data matches the provided
+ * pattern.
+ *
+ * @param  Mixed  pattern  A glob string, a RegExp or a function
+ * @return Function
+ * @see    Casper#route
+ */
+function createRequestMatcher(pattern) {
+    "use strict";
+    switch (utils.betterTypeOf(pattern)) {
+        case "string":
+            pattern = utils.globToRegExp(pattern);
+            /* falls through */
+        case "regexp":
+            return function _match(request) {
+                return pattern.test(request.url);
+            };
+        case "function":
+            return pattern;
+        default:
+            throw new CasperError("Invalid request pattern type: " + utils.betterTypeOf(pattern));
+    }
+}
+
+/**
+ * Processes a pending network request: aborts it if its url matches one of
+ * the `blockResources` option patterns, then calls the matching route
+ * handlers.
+ *
+ * @param  Casper  casper          A Casper instance
+ * @param  Object  request         The request data
+ * @param  Object  networkRequest  The PhantomJS network request object
+ */
+function routeRequest(casper, request, networkRequest) {
+    "use strict";
+    var blocked = casper.options.blockResources;
+    var controller = createRequestController(casper, request, networkRequest);
+    if (blocked) {
+        blocked = utils.isArray(blocked) ? blocked : [blocked];
+        if (blocked.some(function _some(pattern) {
+            return createRequestMatcher(pattern)(request);
+        })) {
+            controller.abort();
+            if (controller.aborted) {
+                casper.log(f("Blocked request to %s", request.url), "debug");
+                casper.emit('resource.blocked', request);
+            }
+            return;
+        }
+    }
+    casper.routes.some(function _some(route) {
+        if (route.match(request)) {
+            try {
+                route.handler.call(casper, request, controller);
+            } catch (e) {
+                casper.log(f("Route handler error for %s: %s", request.url, e), "error");
+            }
+        }
+        return controller.aborted;
+    });
+}
+
+/**
+ * Retrieves the retry policy applying to a step, if any: either the step
+ * `retry` option or the Casper `retry` option, merged with default values.
+ * The Casper `retry` option doesn't apply to the internal steps added by
+ * Casper methods, eg. the polling steps of `wait*()` ones.
+ *
+ * @param  Casper    casper  A Casper instance
+ * @param  Function  step    The step
+ * @return Object|null
+ */
+function getRetryPolicy(casper, step) {
+    "use strict";
+    var options = utils.isObject(step.options) ? step.options : {};
+    var policy = options.retry || (options.internal ? null : casper.options.retry);
+    if (!utils.isObject(policy)) {
+        return null;
+    }
+    return utils.mergeObjects({
+        attempts: 3,
+        delay:    1000,
+        backoff:  1,
+        when:     function _when(casper, error, navigated) {
+            return !!error || (navigated && casper.currentHTTPStatus >= 500);
+        }
+    }, policy);
+}
+
+/**
+ * Finds the index of the first step having the provided label.
+ *
+ * @param  Array   steps  The navigation steps
+ * @param  String  label  The step label
+ * @param  Number  start  The index to start searching from
+ * @return Number         The step index, -1 if not found
+ */
+function findStepIndex(steps, label, start) {
+    "use strict";
+    if (!utils.isString(label)) {
+        throw new CasperError("A step label must be a string");
+    }
+    for (var i = start; i < steps.length; i++) {
+        if (steps[i].label === label) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Rejects the promises of discarded navigation steps.
+ *
+ * @param  Array  steps  Discarded steps
+ * @param  Error  error  The rejection reason
+ */
+function rejectSteps(steps, error) {
+    "use strict";
+    steps.forEach(function _forEach(step) {
+        if (step.deferred) {
+            step.deferred.reject(error);
+        }
+    });
+}
+
+/**
+ * Checks that the PhantomJS cookie jar API is available (PhantomJS >= 1.7).
+ *
+ */
+function checkCookiesSupport() {
+    "use strict";
+    if (!utils.isFunction(phantom.addCookie)) {
+        throw new CasperError("Cookies management requires PhantomJS >= 1.7");
+    }
+}
@@ -32,23 +32,48 @@
 
 var system = require('system');
 var utils = require('utils');
+var f = utils.format;
 
 /**
  * Extracts, normalize ad organize PhantomJS CLI arguments in a dedicated
  * Object.
  *
- * @param  array  phantomArgs  system.args value
+ * Without schema, option values types are guessed from their format. A
+ * schema describing the expected options can be passed, as an object having
+ * option names as keys and definition objects as values:
+ *
+ * - String   type:         "string" (default), "number", "integer" or "boolean"
+ * - String   alias:        a short alias, eg. "v" for `-v`
+ * - Mixed    default:      the value of an option which isn't passed
+ * - Boolean  array:        the option can be repeated, its value is an array
+ * - Boolean  required:     the option must be passed
+ * - String   description:  option description, used by `help()`
+ *
+ * Boolean options can be negated using `--no-name`, and values of other
+ * options can be passed as the next argument, eg. `--port 8080`. Options
+ * missing from the schema are parsed as if no schema was passed.
+ *
+ * @param  Array|Object  phantomArgs  system.args value, or a previous result of parse()
+ * @param  Object        schema       Options schema (optional)
  * @return Object
  */
-exports.parse = function parse(phantomArgs) {
+exports.parse = function parse(phantomArgs, schema) {
     "use strict";
+    if (utils.isObject(phantomArgs) && utils.isArray(phantomArgs.argv)) {
+        phantomArgs = phantomArgs.argv;
+    }
+    if (schema !== undefined && !utils.isObject(schema)) {
+        throw new CasperError("cli.parse() schema must be an object");
+    }
     var extract = {
         args: [],
+        argv: phantomArgs.slice(),
         options: {},
         raw: {
             args: [],
             options: {}
         },
+        schema: schema || null,
         drop: function drop(what) {
             if (utils.isNumber(what)) {
                 // deleting an arg by its position
@@ -67,6 +92,11 @@ exports.parse = function parse(phantomArgs) {
                         delete self.options[what];
                     }
                 });
+                if (this.argv) {
+                    this.argv = this.argv.filter(function _filter(arg) {
+                        return arg !== what && arg !== '--' + what && arg.indexOf('--' + what + '=') !== 0;
+                    });
+                }
             } else {
                 throw new CasperError("cannot drop argument of type " + typeof what);
             }
@@ -88,8 +118,15 @@ exports.parse = function parse(phantomArgs) {
             } else {
                 throw new CasperError("Unsupported cli arg getter " + typeof what);
             }
+        },
+        help: function help(usage) {
+            return exports.help(this.schema || {}, usage);
         }
     };
+    if (schema) {
+        parseWithSchema(extract, phantomArgs, schema);
+        return finalize(extract);
+    }
     phantomArgs.forEach(function _forEach(arg) {
         if (arg.indexOf('--') === 0) {
             // named option
@@ -110,13 +147,188 @@ exports.parse = function parse(phantomArgs) {
             extract.raw.args.push(castArgument(arg));
         }
     });
+    return finalize(extract);
+};
+
+/**
+ * Generates help text for an options schema, as accepted by `parse()`.
+ *
+ * @param  Object  schema  Options schema
+ * @param  String  usage   Usage line (optional)
+ * @return String
+ */
+exports.help = function help(schema, usage) {
+    "use strict";
+    var lines = [], rows = [], width = 0;
+    Object.keys(schema || {}).forEach(function _forEach(name) {
+        var definition = getDefinition(schema, name), notes = [];
+        var left = definition.alias ? f('-%s, --%s', definition.alias, name) : f('    --%s', name);
+        if (definition.type !== "boolean") {
+            left += f('=<%s>', definition.type);
+        }
+        if (definition.required) {
+            notes.push('required');
+        }
+        if (definition.array) {
+            notes.push('repeatable');
+        }
+        if (definition['default'] !== undefined) {
+            notes.push('default: ' + JSON.stringify(definition['default']));
+        }
+        rows.push([left, [definition.description || '', notes.length ? f('(%s)', notes.join(', ')) : ''].filter(Boolean).join(' ')]);
+        width = Math.max(width, left.length);
+    });
+    if (usage) {
+        lines.push('Usage: ' + usage);
+    }
+    if (rows.length > 0) {
+        if (lines.length > 0) {
+            lines.push('');
+        }
+        lines.push('Options:', '');
+        rows.forEach(function _forEach(row) {
+            lines.push(f('  %s%s  %s', row[0], new Array(width - row[0].length + 1).join(' '), row[1]).replace(/\s+$/, ''));
+        });
+    }
+    return lines.join('\n');
+};
+
+/**
+ * Casts a string argument according to an option definition.
+ *
+ * @param  String  name        Option name
+ * @param  Mixed   value       Raw value, `true` for flags
+ * @param  Object  definition  Option definition
+ * @return Mixed
+ */
+function castOption(name, value, definition) {
+    "use strict";
+    switch (definition.type) {
+        case "boolean":
+            if (value === true || /^(true|1|yes)$/i.test(value)) {
+                return true;
+            } else if (value === false || /^(false|0|no)$/i.test(value)) {
+                return false;
+            }
+            throw new CasperError(f("Option --%s expects a boolean value, got %s", name, value));
+        case "integer":
+            if (!/^-?\d+$/.test(value)) {
+                throw new CasperError(f("Option --%s expects an integer value, got %s", name, value));
+            }
+            return parseInt(value, 10);
+        case "number":
+            if (value === true || value === '' || isNaN(Number(value))) {
+                throw new CasperError(f("Option --%s expects a number value, got %s", name, value));
+            }
+            return Number(value);
+        default:
+            if (value === true) {
+                throw new CasperError(f("Option --%s expects a value", name));
+            }
+            return String(value);
+    }
+}
+
+/**
+ * Adds the getters to a parse() result.
+ *
+ * @param  Object  extract  parse() result
+ * @return Object
+ */
+function finalize(extract) {
+    "use strict";
     extract.raw = utils.mergeObjects(extract.raw, {
         drop: extract.drop,
         has: extract.has,
         get: extract.get
     });
     return extract;
-};
+}
+
+/**
+ * Retrieves a normalized option definition from a schema.
+ *
+ * @param  Object  schema  Options schema
+ * @param  String  name    Option name
+ * @return Object
+ */
+function getDefinition(schema, name) {
+    "use strict";
+    var definition = utils.mergeObjects({type: "string"}, schema[name] || {});
+    if (["string", "number", "integer", "boolean"].indexOf(definition.type) === -1) {
+        throw new CasperError(f("Unsupported type %s for option --%s", definition.type, name));
+    }
+    return definition;
+}
+
+/**
+ * Parses arguments according to an options schema.
+ *
+ * @param  Object  extract      parse() result
+ * @param  Array   phantomArgs  Arguments
+ * @param  Object  schema       Options schema
+ */
+function parseWithSchema(extract, phantomArgs, schema) {
+    "use strict";
+    var aliases = {}, definitions = {};
+    Object.keys(schema).forEach(function _forEach(name) {
+        definitions[name] = getDefinition(schema, name);
+        if (definitions[name].alias) {
+            aliases[definitions[name].alias] = name;
+        }
+    });
+    function setOption(name, value, raw) {
+        var definition = definitions[name];
+        if (!definition) {
+            extract.options[name] = value === true ? true : castArgument(value);
+            extract.raw.options[name] = raw;
+            return;
+        }
+        value = castOption(name, value, definition);
+        if (definition.array) {
+            extract.options[name] = (extract.options[name] || []).concat(value);
+            extract.raw.options[name] = (extract.raw.options[name] || []).concat(raw);
+        } else {
+            extract.options[name] = value;
+            extract.raw.options[name] = raw;
+        }
+    }
+    for (var i = 0; i < phantomArgs.length; i++) {
+        var arg = phantomArgs[i];
+        var match = /^(--?)([^=]+)(?:=([\s\S]*))?$/.exec(arg);
+        if (!match || arg === '-' || (match[1] === '-' && !(match[2] in aliases))) {
+            // positional arg
+            extract.args.push(castArgument(arg));
+            extract.raw.args.push(castArgument(arg));
+            continue;
+        }
+        var name = match[1] === '-' ? aliases[match[2]] : match[2], value = match[3];
+        if (!(name in definitions) && /^no-/.test(name) && definitions[name.substr(3)] &&
+            definitions[name.substr(3)].type === "boolean" && value === undefined) {
+            setOption(name.substr(3), false, false);
+            continue;
+        }
+        if (value === undefined && definitions[name] && definitions[name].type !== "boolean" &&
+            i + 1 < phantomArgs.length && !/^-./.test(phantomArgs[i + 1])) {
+            value = phantomArgs[++i];
+        }
+        setOption(name, value === undefined ? true : value, value === undefined ? true : value);
+    }
+    Object.keys(definitions).forEach(function _forEach(name) {
+        var definition = definitions[name];
+        if (name in extract.options) {
+            return;
+        }
+        if (definition.required) {
+            throw new CasperError(f("Missing required option --%s", name));
+        }
+        if (definition['default'] !== undefined) {
+            extract.options[name] = definition['default'];
+        } else if (definition.array) {
+            extract.options[name] = [];
+        }
+    });
+}
 
 /**
  * Cast a string argument to its typed equivalent.
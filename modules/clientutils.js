@@ -223,8 +223,9 @@
                 } catch (err) {
                     if (err.name === "FileUploadError") {
                         out.files.push({
-                            name: name,
-                            path: err.path
+                            name:     name,
+                            path:     err.path,
+                            selector: this.getElementCssPath(field[0] || field)
                         });
                     } else {
                         this.log(err, "error");
@@ -369,6 +370,32 @@
             }
         };
 
+        /**
+         * Computes a CSS3 selector uniquely matching the provided element,
+         * eg. `html > body > form:nth-child(2) > input:nth-child(4)`. Useful
+         * when a native API only accepts CSS selectors.
+         *
+         * @param  HTMLElement  element
+         * @return String
+         */
+        this.getElementCssPath = function getElementCssPath(element) {
+            var parts = [];
+            while (element && element.nodeType === 1) {
+                var part = element.nodeName.toLowerCase();
+                if (element.id && /^[a-z][\w\-]*$/i.test(element.id) &&
+                    document.querySelectorAll('#' + element.id).length === 1) {
+                    parts.unshift('#' + element.id);
+                    break;
+                }
+                if (element.parentNode && element.parentNode.nodeType === 1) {
+                    part += ':nth-child(' + (Array.prototype.indexOf.call(element.parentNode.children, element) + 1) + ')';
+                }
+                parts.unshift(part);
+                element = element.parentNode;
+            }
+            return parts.join(' > ');
+        };
+
         /**
          * Retrieves a single DOM element matching a given XPath expression.
          *
@@ -0,0 +1,297 @@
+/*!
+ * Casper is a navigation utility for PhantomJS.
+ *
+ * Documentation: http://casperjs.org/
+ * Repository:    http://github.com/n1k0/casperjs
+ *
+ * Copyright (c) 2011-2012 Nicolas Perriault
+ *
+ * Part of source code is Copyright Joyent, Inc. and other Node contributors.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included
+ * in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+ * OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL
+ * THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*global CasperError exports phantom require*/
+
+var fs = require('fs');
+var utils = require('utils');
+var f = utils.format;
+
+/**
+ * Prefix of the names of user installed command modules, eg. a
+ * `casperjs-scrape` module provides the `casperjs scrape` command.
+ *
+ */
+var PREFIX = 'casperjs-';
+exports.PREFIX = PREFIX;
+
+exports.create = function create(casperPath, workingDirectory) {
+    "use strict";
+    return new Registry(casperPath, workingDirectory);
+};
+
+/**
+ * Registry of the casperjs launcher subcommands.
+ *
+ * A command is a module exporting:
+ *
+ * - String    name:         command name, eg. `scrape`
+ * - String    description:  one line description (optional)
+ * - String    usage:        usage line, without the `casperjs` prefix (optional)
+ * - Object    options:      options schema, see `cli.parse()` (optional)
+ * - Boolean   config:       set to false to skip loading the project
+ *                           configuration file (optional)
+ * - Function  run:          runs the command, receiving the parsed CLI
+ *                           arguments and the registry; can return the path
+ *                           of a script to execute
+ *
+ * Built-in commands live in `modules/commands`; other ones are `casperjs-<name>`
+ * modules, looked up in the `node_modules` directories of the working
+ * directory and its parents, then on the bootstrap require path.
+ *
+ * @param  String  casperPath        CasperJS installation path
+ * @param  String  workingDirectory  Lookup start directory (optional)
+ */
+var Registry = function Registry(casperPath, workingDirectory) {
+    "use strict";
+    this.casperPath = casperPath || phantom.casperPath;
+    this.workingDirectory = fs.absolute(workingDirectory || fs.workingDirectory);
+    this.commands = {};
+};
+exports.Registry = Registry;
+
+/**
+ * Finds a command by its name.
+ *
+ * @param  String  name  Command name
+ * @return Object|null
+ */
+Registry.prototype.find = function find(name) {
+    "use strict";
+    if (!isValidName(name)) {
+        return null;
+    }
+    if (!this.commands.hasOwnProperty(name)) {
+        var file = this.findFile(name);
+        if (!file) {
+            return null;
+        }
+        this.register(require(file), file);
+    }
+    return this.commands[name];
+};
+
+/**
+ * Finds the module file providing a command.
+ *
+ * @param  String  name  Command name
+ * @return String|null
+ */
+Registry.prototype.findFile = function findFile(name) {
+    "use strict";
+    var builtin = fs.pathJoin(this.casperPath, 'modules', 'commands', name + '.js');
+    if (fs.isFile(builtin)) {
+        return builtin;
+    }
+    var dirs = getModuleDirs(this.workingDirectory).concat(getModuleDirs(this.casperPath));
+    for (var i = 0; i < dirs.length; i++) {
+        var file = resolveModule(fs.pathJoin(dirs[i], PREFIX + name));
+        if (file) {
+            return file;
+        }
+    }
+    return resolveModule(fs.pathJoin(this.casperPath, 'modules', PREFIX + name));
+};
+
+/**
+ * Checks if a command is a built-in one.
+ *
+ * @param  String  name  Command name
+ * @return Boolean
+ */
+Registry.prototype.isBuiltin = function isBuiltin(name) {
+    "use strict";
+    return isValidName(name) && fs.isFile(fs.pathJoin(this.casperPath, 'modules', 'commands', name + '.js'));
+};
+
+/**
+ * Lists the names of available commands, sorted.
+ *
+ * @return Array
+ */
+Registry.prototype.list = function list() {
+    "use strict";
+    var names = Object.keys(this.commands);
+    function add(name) {
+        if (isValidName(name) && names.indexOf(name) === -1) {
+            names.push(name);
+        }
+    }
+    listDir(fs.pathJoin(this.casperPath, 'modules', 'commands')).forEach(function _forEach(entry) {
+        if (/\.js$/.test(entry)) {
+            add(entry.replace(/\.js$/, ''));
+        }
+    });
+    getModuleDirs(this.workingDirectory).concat(getModuleDirs(this.casperPath)).forEach(function _forEach(dir) {
+        listDir(dir).forEach(function _forEach(entry) {
+            if (entry.indexOf(PREFIX) === 0) {
+                add(entry.substr(PREFIX.length).replace(/\.(js|coffee)$/, ''));
+            }
+        });
+    });
+    return names.sort();
+};
+
+/**
+ * Parses CLI arguments against the options schema of a command.
+ *
+ * @param  Object  command  Command
+ * @param  Object  cliArgs  Parsed CLI arguments, see `cli.parse()`
+ * @return Object
+ */
+Registry.prototype.parse = function parse(command, cliArgs) {
+    "use strict";
+    if (!command.options || cliArgs.has('help')) {
+        return cliArgs;
+    }
+    return require('cli').parse(cliArgs, command.options);
+};
+
+/**
+ * Registers a command.
+ *
+ * @param  Object  command  Command
+ * @param  String  file     Module file the command comes from (optional)
+ * @return Object
+ */
+Registry.prototype.register = function register(command, file) {
+    "use strict";
+    var source = file ? f(' in %s', file) : '';
+    if (!utils.isObject(command) || !isValidName(command.name)) {
+        throw new CasperError(f('Invalid command%s: a valid name is expected', source));
+    }
+    if (!utils.isFunction(command.run)) {
+        throw new CasperError(f('Invalid command "%s"%s: a run() function is expected', command.name, source));
+    }
+    if (command.options !== undefined && !utils.isObject(command.options)) {
+        throw new CasperError(f('Invalid command "%s"%s: options must be a schema object', command.name, source));
+    }
+    this.commands[command.name] = command;
+    return command;
+};
+
+/**
+ * Runs a command.
+ *
+ * @param  Object  command  Command
+ * @param  Object  cliArgs  Parsed CLI arguments, see `cli.parse()`
+ * @return String|undefined  Path of a script to execute, if any
+ */
+Registry.prototype.run = function run(command, cliArgs) {
+    "use strict";
+    return command.run(cliArgs, this);
+};
+
+/**
+ * Generates help text for a command.
+ *
+ * @param  Object  command  Command
+ * @return String
+ */
+Registry.prototype.usage = function usage(command) {
+    "use strict";
+    var lines = [];
+    if (command.description) {
+        lines.push(command.description, '');
+    }
+    lines.push(require('cli').help(command.options || {}, 'casperjs ' + (command.usage || command.name)));
+    return lines.join('\n');
+};
+
+/**
+ * Lists the node_modules directories of a directory and its parents.
+ *
+ * @param  String  dir  Start directory
+ * @return Array
+ */
+function getModuleDirs(dir) {
+    "use strict";
+    var dirs = [], parent;
+    dir = fs.absolute(dir);
+    while (true) {
+        dirs.push(fs.pathJoin(dir, 'node_modules'));
+        parent = fs.dirname(dir);
+        if (!parent || parent === dir) {
+            return dirs;
+        }
+        dir = parent;
+    }
+}
+
+/**
+ * Checks if a string is a valid command name.
+ *
+ * @param  String  name  Name
+ * @return Boolean
+ */
+function isValidName(name) {
+    "use strict";
+    return utils.isString(name) && /^[a-z][a-z0-9\-]*$/i.test(name);
+}
+
+/**
+ * Lists a directory entries, an empty array if it doesn't exist.
+ *
+ * @param  String  dir  Directory
+ * @return Array
+ */
+function listDir(dir) {
+    "use strict";
+    if (!fs.isDirectory(dir)) {
+        return [];
+    }
+    return fs.list(dir).filter(function _filter(entry) {
+        return entry !== '.' && entry !== '..';
+    });
+}
+
+/**
+ * Resolves the main file of a module path, the way require() does.
+ *
+ * @param  String  path  Module path
+ * @return String|null
+ */
+function resolveModule(path) {
+    "use strict";
+    var guesses = [
+        path + '.js',
+        path + '.coffee',
+        fs.pathJoin(path, 'index.js'),
+        fs.pathJoin(path, 'index.coffee'),
+        fs.pathJoin(path, 'lib', fs.basename(path) + '.js'),
+        fs.pathJoin(path, 'lib', fs.basename(path) + '.coffee')
+    ];
+    for (var i = 0; i < guesses.length; i++) {
+        if (fs.isFile(guesses[i])) {
+            return guesses[i];
+        }
+    }
+    return null;
+}
@@ -0,0 +1,92 @@
+/*!
+ * Casper is a navigation utility for PhantomJS.
+ *
+ * Documentation: http://casperjs.org/
+ * Repository:    http://github.com/n1k0/casperjs
+ *
+ * Copyright (c) 2011-2012 Nicolas Perriault
+ *
+ * Part of source code is Copyright Joyent, Inc. and other Node contributors.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included
+ * in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+ * OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL
+ * THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*global console exports phantom require*/
+
+var utils = require('utils');
+var f = utils.format;
+
+exports.name = 'help';
+exports.description = 'Prints help about CasperJS or one of its commands.';
+exports.config = false;
+exports.usage = 'help [command]';
+
+exports.run = function run(cli, registry) {
+    "use strict";
+    var name = cli.get(0), command;
+    if (utils.isString(name)) {
+        command = registry.find(name);
+        if (!command) {
+            console.error(f('Unknown command "%s"', name));
+            phantom.exit(1);
+            return;
+        }
+        console.log(registry.usage(command));
+        phantom.exit(0);
+        return;
+    }
+    var lines = [
+        f('CasperJS version %s at %s, using PhantomJS version %s', phantom.casperVersion.toString(),
+          phantom.casperPath, [phantom.version.major, phantom.version.minor, phantom.version.patch].join('.')),
+        '',
+        'Usage: casperjs [options] script.[js|coffee] [script argument [script argument ...]]',
+        '       casperjs [options] <command> [command argument [command argument ...]]',
+        '',
+        'Commands:',
+        ''
+    ];
+    var commands = registry.list().map(function _map(name) {
+        try {
+            return registry.find(name);
+        } catch (e) {
+            return {name: name, description: f('(unable to load: %s)', e.message)};
+        }
+    }).filter(Boolean);
+    var width = Math.max.apply(null, commands.map(function _map(command) {
+        return command.name.length;
+    }));
+    commands.forEach(function _forEach(command) {
+        lines.push(f('  %s%s  %s', command.name, new Array(width - command.name.length + 1).join(' '),
+                     command.description || '').replace(/\s+$/, ''));
+    });
+    lines.push(
+        '',
+        'Options:',
+        '',
+        '  --help     Prints this help, or a command help',
+        '  --version  Prints out CasperJS version',
+        '',
+        'Run `casperjs help <command>` for help about a command.',
+        '',
+        'Read the docs http://casperjs.org/'
+    );
+    console.log(lines.join('\n'));
+    phantom.exit(0);
+};
@@ -0,0 +1,69 @@
+/*!
+ * Casper is a navigation utility for PhantomJS.
+ *
+ * Documentation: http://casperjs.org/
+ * Repository:    http://github.com/n1k0/casperjs
+ *
+ * Copyright (c) 2011-2012 Nicolas Perriault
+ *
+ * Part of source code is Copyright Joyent, Inc. and other Node contributors.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included
+ * in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+ * OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL
+ * THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*global console exports phantom require*/
+
+var fs = require('fs');
+var system = require('system');
+
+exports.name = 'repl';
+exports.description = 'Opens a page and runs commands read from the standard input.';
+exports.usage = 'repl [options] [url]';
+
+exports.options = {
+    'history-file': {description: 'File where entered lines are persisted (default: ~/.casperjs_history)'},
+    'no-history':   {type: 'boolean', description: 'Disables history persistence'},
+    'log-level':    {description: 'Logging level: debug, info, warning or error'},
+    'direct':       {type: 'boolean', description: 'Outputs log messages to the console'}
+};
+
+exports.run = function run(cli) {
+    "use strict";
+    var historyFile = null;
+    if (!cli.get('no-history')) {
+        historyFile = cli.get('history-file') || (system.env.HOME ? fs.pathJoin(system.env.HOME, '.casperjs_history') : null);
+    }
+    var casper = require('casper').create({
+        exitOnError: false,
+        logLevel:    cli.get('log-level') || 'warning',
+        verbose:     cli.get('direct') === true,
+        // the REPL runs until it's exited
+        timeout:     null,
+        stepTimeout: null
+    });
+    try {
+        require('repl').create(casper, {
+            historyFile: historyFile
+        }).start(cli.get(0));
+    } catch (e) {
+        console.error(e.message);
+        phantom.exit(1);
+    }
+};
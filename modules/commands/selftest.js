@@ -0,0 +1,50 @@
+/*!
+ * Casper is a navigation utility for PhantomJS.
+ *
+ * Documentation: http://casperjs.org/
+ * Repository:    http://github.com/n1k0/casperjs
+ *
+ * Copyright (c) 2011-2012 Nicolas Perriault
+ *
+ * Part of source code is Copyright Joyent, Inc. and other Node contributors.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included
+ * in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+ * OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL
+ * THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*global exports phantom require*/
+
+var fs = require('fs');
+
+exports.name = 'selftest';
+exports.description = 'Runs the CasperJS test suite.';
+exports.usage = 'selftest [options] [test file]';
+
+exports.run = function run(cli) {
+    "use strict";
+    cli.options.includes = fs.pathJoin(phantom.casperPath, 'tests', 'selftest.js');
+    if (cli.args.length > 0) {
+        // we want a single test file
+        cli.args = [fs.pathJoin(phantom.casperPath, cli.get(0))];
+    } else {
+        // run the whole casperjs test suite
+        cli.args.push(fs.pathJoin(phantom.casperPath, 'tests', 'suites'));
+    }
+    return fs.absolute(fs.pathJoin(phantom.casperPath, 'tests', 'run.js'));
+};
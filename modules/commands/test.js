@@ -0,0 +1,68 @@
+/*!
+ * Casper is a navigation utility for PhantomJS.
+ *
+ * Documentation: http://casperjs.org/
+ * Repository:    http://github.com/n1k0/casperjs
+ *
+ * Copyright (c) 2011-2012 Nicolas Perriault
+ *
+ * Part of source code is Copyright Joyent, Inc. and other Node contributors.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included
+ * in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+ * OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL
+ * THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*global exports phantom require*/
+
+var fs = require('fs');
+
+exports.name = 'test';
+exports.description = 'Runs test files and directories.';
+exports.usage = 'test [options] [test path [test path ...]]';
+
+exports.options = {
+    'includes':         {description: 'Comma separated list of files to include before each test file'},
+    'pre':              {description: 'Comma separated list of files to run before the test suite'},
+    'post':             {description: 'Comma separated list of files to run after the test suite'},
+    'xunit':            {description: 'Exports results to an XUnit XML file'},
+    'reporter':         {description: 'Results reporter name or module path'},
+    'grep':             {description: 'Only runs tests matching this pattern'},
+    'tags':             {description: 'Comma separated list of tags of test files to run'},
+    'exclude':          {description: 'Comma separated list of test paths globs to exclude'},
+    'list':             {type: 'boolean', description: 'Lists matching tests without running them'},
+    'fail-fast':        {type: 'boolean', description: 'Stops on the first failure'},
+    'max-failures':     {type: 'integer', description: 'Stops after this number of failures'},
+    'concurrency':      {type: 'integer', description: 'Runs test files using this number of processes'},
+    'shard':            {description: 'Only runs a shard of the test files, as index/total'},
+    'results-file':     {description: 'Saves raw results to a file'},
+    'merge-results':    {description: 'Comma separated list of raw results files to merge and render'},
+    'coverage':         {description: 'Writes client-side code coverage reports to a directory, not supported with --concurrency'},
+    'coverage-exclude': {description: 'Comma separated list of script URLs globs to exclude from coverage'},
+    'baseline-dir':     {description: 'Directory of screenshot baselines'},
+    'update-baselines': {type: 'boolean', description: 'Updates screenshot baselines'},
+    'direct':           {type: 'boolean', description: 'Outputs log messages to the console'},
+    'log-level':        {description: 'Logging level: debug, info, warning or error'},
+    'no-colors':        {type: 'boolean', description: 'Disables colorized output'},
+    'profile':          {description: 'Configuration profile to use'}
+};
+
+exports.run = function run(cli) {
+    "use strict";
+    return fs.absolute(fs.pathJoin(phantom.casperPath, 'tests', 'run.js'));
+};
@@ -0,0 +1,157 @@
+/*!
+ * Casper is a navigation utility for PhantomJS.
+ *
+ * Documentation: http://casperjs.org/
+ * Repository:    http://github.com/n1k0/casperjs
+ *
+ * Copyright (c) 2011-2012 Nicolas Perriault
+ *
+ * Part of source code is Copyright Joyent, Inc. and other Node contributors.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included
+ * in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+ * OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL
+ * THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*global CasperError exports require*/
+
+var fs = require('fs');
+var utils = require('utils');
+var f = utils.format;
+
+/**
+ * Configuration file names, by lookup order.
+ *
+ */
+var FILE_NAMES = ['casperjs.json', '.casperrc'];
+exports.FILE_NAMES = FILE_NAMES;
+
+exports.create = function create(data, profile, file) {
+    "use strict";
+    return new Config(data, profile, file);
+};
+
+/**
+ * Finds the closest configuration file, walking up from a directory to the
+ * filesystem root.
+ *
+ * @param  String  dir  Start directory
+ * @return String|null  Path to the configuration file, if any
+ */
+exports.find = function find(dir) {
+    "use strict";
+    var parent;
+    dir = fs.absolute(dir);
+    while (true) {
+        for (var i = 0; i < FILE_NAMES.length; i++) {
+            var file = fs.pathJoin(dir, FILE_NAMES[i]);
+            if (fs.isFile(file)) {
+                return file;
+            }
+        }
+        parent = fs.dirname(dir);
+        if (!parent || parent === dir) {
+            return null;
+        }
+        dir = parent;
+    }
+};
+
+/**
+ * Loads a JSON configuration file.
+ *
+ * @param  String  file     Path to the configuration file
+ * @param  String  profile  Name of the profile to apply (optional)
+ * @return Config
+ */
+exports.load = function load(file, profile) {
+    "use strict";
+    var data;
+    try {
+        data = JSON.parse(fs.read(file));
+    } catch (e) {
+        throw new CasperError(f("Unable to read configuration file %s: %s", file, e));
+    }
+    return new Config(data, profile, file);
+};
+
+/**
+ * Project configuration. Configuration data is organized in sections:
+ *
+ * - `casper`:   default Casper options, eg. `viewportSize`, `pageSettings`,
+ *               `clientScripts`, `timeout`, `stepTimeout`, `waitTimeout`
+ * - `test`:     default Tester options, eg. `reporter`, `timeout`, `failFast`
+ * - `cli`:      default CLI options values, eg. `{"log-level": "debug"}`
+ * - `profiles`: named sets of sections overriding the base ones, selected
+ *               using the `--profile` CLI option
+ *
+ * @param  Object  data     Configuration data
+ * @param  String  profile  Name of the profile to apply (optional)
+ * @param  String  file     Configuration file path (optional)
+ */
+var Config = function Config(data, profile, file) {
+    "use strict";
+    if (!utils.isObject(data)) {
+        throw new CasperError(f("Invalid configuration in %s: an object is expected", file || "config"));
+    }
+    this.data = data;
+    this.file = file || null;
+    this.profile = profile || null;
+    if (this.profile && !(utils.isObject(data.profiles) && utils.isObject(data.profiles[this.profile]))) {
+        throw new CasperError(f('Unknown configuration profile "%s" in %s', this.profile, this.file || "config"));
+    }
+};
+exports.Config = Config;
+
+/**
+ * Applies the `cli` section to parsed CLI arguments, for options which
+ * haven't been passed on the command line.
+ *
+ * @param  Object  cliArgs  Parsed CLI arguments, see `cli.parse()`
+ * @return Object
+ */
+Config.prototype.applyCli = function applyCli(cliArgs) {
+    "use strict";
+    var defaults = this.get('cli');
+    Object.keys(defaults).forEach(function _forEach(name) {
+        if (!cliArgs.has(name)) {
+            cliArgs.options[name] = defaults[name];
+            cliArgs.raw.options[name] = String(defaults[name]);
+        }
+    });
+    return cliArgs;
+};
+
+/**
+ * Retrieves a configuration section, merged with the one of the current
+ * profile. A copy is returned, so it can be safely altered.
+ *
+ * @param  String  section  Section name
+ * @return Object
+ */
+Config.prototype.get = function get(section) {
+    "use strict";
+    var base = this.data[section], merged = {};
+    var override = this.profile ? this.data.profiles[this.profile][section] : undefined;
+    [base, override].forEach(function _forEach(values) {
+        if (utils.isObject(values)) {
+            merged = utils.mergeObjects(merged, JSON.parse(JSON.stringify(values)));
+        }
+    });
+    return merged;
+};
@@ -0,0 +1,414 @@
+/*!
+ * Casper is a navigation utility for PhantomJS.
+ *
+ * Documentation: http://casperjs.org/
+ * Repository:    http://github.com/n1k0/casperjs
+ *
+ * Copyright (c) 2011-2012 Nicolas Perriault
+ *
+ * Part of source code is Copyright Joyent, Inc. and other Node contributors.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included
+ * in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+ * OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL
+ * THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*global CasperError decodeURIComponent exports require window XMLHttpRequest*/
+
+var fs = require('fs');
+var utils = require('utils');
+var f = utils.format;
+
+exports.create = function create(casper, options) {
+    "use strict";
+    return new Coverage(casper, options);
+};
+
+/**
+ * Client-side code coverage: the scripts loaded by the pages are instrumented
+ * on the fly using esprima, then the coverage counters are collected from
+ * the page before each navigation. Inline scripts are not instrumented.
+ *
+ * Available options are:
+ *
+ * - Array  exclude:  Glob patterns of script urls not to instrument
+ *
+ * @param  Casper  casper   A Casper instance
+ * @param  Object  options  Options object (optional)
+ */
+var Coverage = function Coverage(casper, options) {
+    "use strict";
+    if (!utils.isCasperObject(casper)) {
+        throw new CasperError("Coverage needs a Casper instance");
+    }
+    try {
+        this.esprima = require('esprima');
+    } catch (e) {
+        throw new CasperError("Code coverage needs the esprima module, install it using `npm install esprima`");
+    }
+    this.casper = casper;
+    this.fetching = {};
+    this.files = {};
+    this.options = utils.mergeObjects({
+        exclude: []
+    }, options || {});
+    this.started = false;
+};
+exports.Coverage = Coverage;
+
+/**
+ * Collects the coverage counters of the current page, then resets them.
+ *
+ * @return Coverage
+ */
+Coverage.prototype.collect = function collect() {
+    "use strict";
+    var counters, self = this;
+    if (!this.casper.page) {
+        return this;
+    }
+    try {
+        counters = this.casper.page.evaluate(function _evaluate() {
+            var coverage = window.__casper_coverage__ || {}, counters = {};
+            for (var key in coverage) {
+                counters[key] = {s: coverage[key].s.slice(), f: coverage[key].f.slice()};
+                for (var i = 0; i < coverage[key].s.length; i++) {
+                    coverage[key].s[i] = 0;
+                }
+                for (var j = 0; j < coverage[key].f.length; j++) {
+                    coverage[key].f[j] = 0;
+                }
+            }
+            return counters;
+        });
+    } catch (e) {
+        this.casper.log(f("Unable to collect coverage counters: %s", e), "warning");
+        return this;
+    }
+    Object.keys(counters || {}).forEach(function _forEach(key) {
+        var file = self.files[key];
+        if (!file) {
+            return;
+        }
+        counters[key].s.forEach(function _forEach(count, index) {
+            file.s[index] += count;
+        });
+        counters[key].f.forEach(function _forEach(count, index) {
+            file.f[index] += count;
+        });
+    });
+    this.casper.emit('coverage.collected', counters);
+    return this;
+};
+
+/**
+ * Retrieves the source code of a script.
+ *
+ * Local files are read from the filesystem. Remote scripts are fetched by a
+ * synchronous XMLHttpRequest issued by the current page, as route handlers
+ * have to respond synchronously: this happens from within the request
+ * callback, so the page is blocked until the script is fetched, the request
+ * is subject to the page same origin policy, and it bypasses the routes
+ * (see the `fetching` guard) to avoid instrumenting itself.
+ *
+ * @param  String  url  Script url
+ * @return String|undefined
+ */
+Coverage.prototype.fetchSource = function fetchSource(url) {
+    "use strict";
+    if (/^file:\/\//.test(url)) {
+        var path = decodeURIComponent(url.replace(/^file:\/\//, '').split(/[?#]/)[0]);
+        return fs.isFile(path) ? fs.read(path) : undefined;
+    }
+    // the synchronous request issued by the page must not be instrumented
+    this.fetching[url] = true;
+    try {
+        return this.casper.evaluate(function _evaluate(url) {
+            var xhr = new XMLHttpRequest();
+            xhr.open('GET', url, false);
+            xhr.send(null);
+            return xhr.status === 200 ? xhr.responseText : undefined;
+        }, {url: url});
+    } finally {
+        delete this.fetching[url];
+    }
+};
+
+/**
+ * Builds the coverage report: an object describing, for each instrumented
+ * script, the execution counts of its lines and functions.
+ *
+ * @return Object
+ */
+Coverage.prototype.getReport = function getReport() {
+    "use strict";
+    var report = {};
+    Object.keys(this.files).forEach(function _forEach(key) {
+        var file = this.files[key], lines = {};
+        file.statements.forEach(function _forEach(line, index) {
+            lines[line] = Math.max(lines[line] || 0, file.s[index]);
+        });
+        report[key] = {
+            path:      file.path,
+            lines:     lines,
+            functions: file.functions.map(function _map(fn, index) {
+                return {name: fn.name, line: fn.line, count: file.f[index]};
+            }),
+            statements: {
+                total:   file.s.length,
+                covered: file.s.filter(function _filter(count) {
+                    return count > 0;
+                }).length
+            }
+        };
+    }, this);
+    return report;
+};
+
+/**
+ * Instruments a script source, inserting statements and functions counters.
+ * The counters of a script which was already instrumented are kept, unless
+ * its source has changed.
+ *
+ * @param  String  source  Script source code
+ * @param  String  key     Script identifier, usually its url
+ * @return String          Instrumented source code
+ */
+Coverage.prototype.instrument = function instrument(source, key) {
+    "use strict";
+    var ast = this.esprima.parse(source, {loc: true, range: true});
+    var file = {path: key, statements: [], functions: [], s: [], f: []};
+    var inserts = [];
+    var counter = f("window.__casper_coverage__[%s]", JSON.stringify(key));
+    function insert(position, text, order) {
+        inserts.push({position: position, text: text, order: order});
+    }
+    function countStatement(node) {
+        file.statements.push(node.loc.start.line);
+        file.s.push(0);
+        return f("%s.s[%d]++;", counter, file.s.length - 1);
+    }
+    function prologueEnd(body) {
+        // the position after the directive prologue ("use strict"…), if any
+        var end;
+        for (var i = 0; i < body.length && isDirective(body[i]); i++) {
+            end = body[i].range[1];
+        }
+        return end;
+    }
+    function walkList(list) {
+        list.forEach(function _forEach(node) {
+            if (!isDirective(node) && node.type !== "FunctionDeclaration") {
+                insert(node.range[0], countStatement(node), 1);
+            }
+            walk(node);
+        });
+    }
+    function walkBody(node) {
+        // single statement bodies are wrapped into a block
+        if (node.type === "BlockStatement") {
+            walk(node);
+        } else {
+            insert(node.range[0], '{', 0);
+            insert(node.range[0], countStatement(node), 1);
+            walk(node);
+            insert(node.range[1], '}', -2);
+        }
+    }
+    function walk(node) {
+        if (Array.isArray(node)) {
+            return node.forEach(walk);
+        }
+        if (!node || typeof node !== "object" || !node.type) {
+            return;
+        }
+        switch (node.type) {
+            case "Program":
+            case "BlockStatement":
+                return walkList(node.body);
+            case "SwitchCase":
+                walk(node.test);
+                return walkList(node.consequent);
+            case "IfStatement":
+                walk(node.test);
+                walkBody(node.consequent);
+                if (node.alternate) {
+                    walkBody(node.alternate);
+                }
+                return;
+            case "ForStatement":
+            case "ForInStatement":
+            case "WhileStatement":
+            case "DoWhileStatement":
+            case "WithStatement":
+                ['init', 'test', 'update', 'left', 'right', 'object'].forEach(function _forEach(name) {
+                    walk(node[name]);
+                });
+                return walkBody(node.body);
+            case "FunctionDeclaration":
+            case "FunctionExpression":
+                file.functions.push({
+                    name: node.id ? node.id.name : f("(anonymous_%d)", file.functions.length + 1),
+                    line: node.loc.start.line
+                });
+                file.f.push(0);
+                var body = node.body.body;
+                var position = prologueEnd(body) || node.body.range[0] + 1;
+                insert(position, f("%s.f[%d]++;", counter, file.f.length - 1), 0);
+                return walkList(body);
+        }
+        Object.keys(node).forEach(function _forEach(name) {
+            if (name !== "loc" && name !== "range") {
+                walk(node[name]);
+            }
+        });
+    }
+    walk(ast);
+    var header = f("if(!%s){%s={s:%s,f:%s};}", counter, counter, JSON.stringify(file.s), JSON.stringify(file.f));
+    header = "window.__casper_coverage__=window.__casper_coverage__||{};" + header;
+    insert(prologueEnd(ast.body) || 0, header, -1);
+    inserts.sort(function _sort(a, b) {
+        return b.position - a.position || b.order - a.order;
+    }).forEach(function _forEach(insertion) {
+        source = source.slice(0, insertion.position) + insertion.text + source.slice(insertion.position);
+    });
+    var previous = this.files[key];
+    if (previous && JSON.stringify(previous.statements) === JSON.stringify(file.statements) &&
+        previous.f.length === file.f.length) {
+        // the script is loaded again: keep on counting
+        return source;
+    }
+    if (previous) {
+        this.casper.log(f("Source of %s has changed, its coverage counters are reset", key), "warning");
+    }
+    this.files[key] = file;
+    return source;
+};
+
+/**
+ * Saves the coverage report to a directory, as `coverage.json` and
+ * `lcov.info` files.
+ *
+ * @param  String  dir  Target directory
+ * @return Coverage
+ */
+Coverage.prototype.save = function save(dir) {
+    "use strict";
+    try {
+        fs.makeTree(dir);
+        fs.write(fs.pathJoin(dir, 'coverage.json'), JSON.stringify(this.getReport(), null, 4), 'w');
+        fs.write(fs.pathJoin(dir, 'lcov.info'), this.toLcov(), 'w');
+    } catch (e) {
+        throw new CasperError(f("Unable to save coverage report to %s: %s", dir, e));
+    }
+    return this;
+};
+
+/**
+ * Starts instrumenting the scripts loaded by the pages and collecting
+ * coverage counters.
+ *
+ * @return Coverage
+ */
+Coverage.prototype.start = function start() {
+    "use strict";
+    var self = this, casper = this.casper;
+    if (this.started) {
+        return this;
+    }
+    this.started = true;
+    var excludes = [].concat(this.options.exclude).map(function _map(glob) {
+        return utils.betterTypeOf(glob) === "regexp" ? glob : utils.globToRegExp(glob);
+    });
+    function addRoute() {
+        casper.route(function _match(request) {
+            var url = request.url.split(/[?#]/)[0];
+            return /\.js$/i.test(url) && !(request.url in self.fetching) && !excludes.some(function _some(regexp) {
+                return regexp.test(request.url);
+            });
+        }, function _instrument(request, controller) {
+            var source = self.fetchSource(request.url);
+            if (!utils.isString(source)) {
+                return;
+            }
+            try {
+                controller.respond(self.instrument(source, request.url), 'application/javascript');
+            } catch (e) {
+                this.log(f("Unable to instrument %s: %s", request.url, e), "warning");
+            }
+        });
+    }
+    addRoute();
+    // routes are discarded when the casper instance is reset
+    casper.on('reset', addRoute);
+    casper.on('open', function _onOpen() {
+        self.collect();
+    });
+    casper.on('navigation.requested', function _onNavigationRequested(url, type, locked, isMainFrame) {
+        if (isMainFrame !== false) {
+            self.collect();
+        }
+    });
+    return this;
+};
+
+/**
+ * Exports the coverage report using the lcov tracefile format.
+ *
+ * @return String
+ */
+Coverage.prototype.toLcov = function toLcov() {
+    "use strict";
+    var report = this.getReport(), lines = [];
+    Object.keys(report).forEach(function _forEach(key) {
+        var file = report[key], lineNumbers = Object.keys(file.lines);
+        lines.push('TN:');
+        lines.push('SF:' + file.path.replace(/^file:\/\//, ''));
+        file.functions.forEach(function _forEach(fn) {
+            lines.push(f('FN:%d,%s', fn.line, fn.name));
+        });
+        file.functions.forEach(function _forEach(fn) {
+            lines.push(f('FNDA:%d,%s', fn.count, fn.name));
+        });
+        lines.push('FNF:' + file.functions.length);
+        lines.push('FNH:' + file.functions.filter(function _filter(fn) {
+            return fn.count > 0;
+        }).length);
+        lineNumbers.forEach(function _forEach(line) {
+            lines.push(f('DA:%d,%d', line, file.lines[line]));
+        });
+        lines.push('LF:' + lineNumbers.length);
+        lines.push('LH:' + lineNumbers.filter(function _filter(line) {
+            return file.lines[line] > 0;
+        }).length);
+        lines.push('end_of_record');
+    });
+    return lines.join('\n') + '\n';
+};
+
+/**
+ * Checks if an AST node is a directive, eg. "use strict".
+ *
+ * @param  Object  node  AST node
+ * @return Boolean
+ */
+function isDirective(node) {
+    "use strict";
+    return node.type === "ExpressionStatement" && node.expression.type === "Literal" &&
+           typeof node.expression.value === "string";
+}
@@ -0,0 +1,265 @@
+/*!
+ * Casper is a navigation utility for PhantomJS.
+ *
+ * Documentation: http://casperjs.org/
+ * Repository:    http://github.com/n1k0/casperjs
+ *
+ * Copyright (c) 2011-2012 Nicolas Perriault
+ *
+ * Part of source code is Copyright Joyent, Inc. and other Node contributors.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included
+ * in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+ * OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL
+ * THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*global CasperError exports phantom require*/
+
+var fs = require('fs');
+var qs = require('querystring');
+var utils = require('utils');
+var f = utils.format;
+
+exports.create = function create(casper) {
+    "use strict";
+    return new HarRecorder(casper);
+};
+
+/**
+ * Records the page loads of a Casper instance along with the requests made
+ * by each of them, in order to export them as an HTTP Archive (HAR 1.2),
+ * readable by browser developer tools and HAR viewers.
+ *
+ * Request and response data are read from the Casper network tracker; the
+ * recorded log is cleared by `clear()` and `Casper.reset()`.
+ *
+ * @param  Casper  casper  A Casper instance
+ */
+var HarRecorder = function HarRecorder(casper) {
+    "use strict";
+    if (!utils.isCasperObject(casper)) {
+        throw new CasperError("HarRecorder needs a Casper instance");
+    }
+    var self = this;
+    this.casper = casper;
+    this.clear();
+    casper.on('load.started', function _onLoadStarted() {
+        self.onLoadStarted();
+    });
+    casper.on('load.finished', function _onLoadFinished(status) {
+        self.onLoadFinished(status);
+    });
+    casper.on('resource.requested', function _onRequested(request) {
+        self.onRequested(request);
+    });
+};
+exports.HarRecorder = HarRecorder;
+
+/**
+ * Discards all the recorded pages and entries.
+ *
+ * @return HarRecorder
+ */
+HarRecorder.prototype.clear = function clear() {
+    "use strict";
+    this.currentPage = null;
+    this.entries = [];
+    this.pages = [];
+    return this;
+};
+
+/**
+ * Builds the HAR log object. Pending requests are omitted.
+ *
+ * @return Object
+ */
+HarRecorder.prototype.getLog = function getLog() {
+    "use strict";
+    var version = phantom.version;
+    return {
+        log: {
+            version: "1.2",
+            creator: {
+                name:    "CasperJS",
+                version: phantom.casperVersion ? phantom.casperVersion.toString() : "unknown"
+            },
+            browser: {
+                name:    "PhantomJS",
+                version: [version.major, version.minor, version.patch].join('.')
+            },
+            pages: this.pages.map(function _map(page) {
+                return {
+                    startedDateTime: page.startTime.toISOString(),
+                    id:              page.id,
+                    title:           page.title,
+                    pageTimings: {
+                        onContentLoad: -1,
+                        onLoad:        page.endTime ? page.endTime - page.startTime : -1
+                    }
+                };
+            }),
+            entries: this.entries.filter(function _filter(recorded) {
+                return recorded.entry.state !== "pending";
+            }).map(function _map(recorded) {
+                return exportEntry(recorded.entry, recorded.pageref);
+            })
+        }
+    };
+};
+
+/**
+ * Listener for `load.finished` events.
+ *
+ * @param  String  status  Load status
+ */
+HarRecorder.prototype.onLoadFinished = function onLoadFinished(status) {
+    "use strict";
+    var page = this.currentPage;
+    if (!page || page.endTime) {
+        return;
+    }
+    page.endTime = new Date();
+    try {
+        page.title = this.casper.getTitle() || page.title;
+    } catch (e) {}
+};
+
+/**
+ * Listener for `load.started` events.
+ *
+ */
+HarRecorder.prototype.onLoadStarted = function onLoadStarted() {
+    "use strict";
+    this.currentPage = {
+        id:        f("page_%d", this.pages.length + 1),
+        startTime: new Date(),
+        title:     this.casper.requestUrl
+    };
+    this.pages.push(this.currentPage);
+};
+
+/**
+ * Listener for `resource.requested` events.
+ *
+ * @param  Object  request  The request object
+ */
+HarRecorder.prototype.onRequested = function onRequested(request) {
+    "use strict";
+    var entry = this.casper.network.findEntry(request);
+    if (entry) {
+        this.entries.push({
+            entry:   entry,
+            pageref: this.currentPage ? this.currentPage.id : undefined
+        });
+    }
+};
+
+/**
+ * Writes the HAR log to a file.
+ *
+ * @param  String  file  Target file path
+ * @return HarRecorder
+ */
+HarRecorder.prototype.save = function save(file) {
+    "use strict";
+    try {
+        fs.write(file, JSON.stringify(this.getLog(), null, 4), 'w');
+    } catch (e) {
+        throw new CasperError(f("Unable to write HAR file %s: %s", file, e));
+    }
+    return this;
+};
+
+/**
+ * Converts a network tracker entry to a HAR entry.
+ *
+ * @param  Object  entry    Network tracker entry
+ * @param  String  pageref  Parent page id
+ * @return Object
+ */
+function exportEntry(entry, pageref) {
+    "use strict";
+    var size = utils.isNumber(entry.size) ? entry.size : -1;
+    var wait = entry.responseTime ? entry.responseTime - entry.startTime : entry.duration;
+    var harEntry = {
+        startedDateTime: entry.startTime.toISOString(),
+        time:            entry.duration,
+        request: {
+            method:      entry.method,
+            url:         entry.url,
+            httpVersion: "HTTP/1.1",
+            cookies:     [],
+            headers:     entry.requestHeaders,
+            queryString: parseQueryString(entry.url),
+            headersSize: -1,
+            bodySize:    -1
+        },
+        response: {
+            status:      entry.status || 0,
+            statusText:  entry.statusText || "",
+            httpVersion: "HTTP/1.1",
+            cookies:     [],
+            headers:     entry.responseHeaders || [],
+            content: {
+                size:     Math.max(size, 0),
+                mimeType: entry.contentType || ""
+            },
+            redirectURL: entry.redirectURL || "",
+            headersSize: -1,
+            bodySize:    size
+        },
+        cache: {},
+        timings: {
+            blocked: -1,
+            dns:     -1,
+            connect: -1,
+            send:    0,
+            wait:    wait,
+            receive: entry.duration - wait,
+            ssl:     -1
+        }
+    };
+    if (pageref) {
+        harEntry.pageref = pageref;
+    }
+    if (entry.error) {
+        harEntry._error = entry.error;
+    }
+    return harEntry;
+}
+
+/**
+ * Extracts the query string parameters of an url as HAR name/value pairs.
+ *
+ * @param  String  url  The url
+ * @return Array
+ */
+function parseQueryString(url) {
+    "use strict";
+    var params = [], query = url.split('#')[0].split('?').slice(1).join('?');
+    if (!query) {
+        return params;
+    }
+    var parsed = qs.parse(query);
+    Object.keys(parsed).forEach(function _forEach(name) {
+        [].concat(parsed[name]).forEach(function _forEach(value) {
+            params.push({name: name, value: value});
+        });
+    });
+    return params;
+}
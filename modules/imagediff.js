@@ -0,0 +1,205 @@
+/*!
+ * Casper is a navigation utility for PhantomJS.
+ *
+ * Documentation: http://casperjs.org/
+ * Repository:    http://github.com/n1k0/casperjs
+ *
+ * Copyright (c) 2011-2012 Nicolas Perriault
+ *
+ * Part of source code is Copyright Joyent, Inc. and other Node contributors.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included
+ * in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+ * OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL
+ * THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*global CasperError exports require*/
+
+var utils = require('utils');
+var f = utils.format;
+
+exports.create = function create() {
+    "use strict";
+    return new ImageDiff();
+};
+
+/**
+ * Compares two PNG images pixel by pixel, using the canvas API of an
+ * auxiliary WebPage instance. As images are decoded asynchronously, the
+ * `isReady()` method must return true before calling `compare()`.
+ *
+ */
+var ImageDiff = function ImageDiff() {
+    "use strict";
+    this.page = null;
+    this.result = null;
+};
+exports.ImageDiff = ImageDiff;
+
+/**
+ * Releases the auxiliary page.
+ *
+ */
+ImageDiff.prototype.close = function close() {
+    "use strict";
+    if (this.page) {
+        if (utils.isFunction(this.page.close)) {
+            this.page.close();
+        } else if (utils.isFunction(this.page.release)) {
+            this.page.release();
+        }
+        this.page = null;
+    }
+};
+
+/**
+ * Compares the loaded images. A pixel is considered different when one of
+ * its color channels differs by more than `threshold` (0-255). Differing
+ * pixels are highlighted in red in a diff image, which can be saved using
+ * `render()`.
+ *
+ * Returned object contains `width`, `height`, `total` (number of pixels),
+ * `mismatch` (number of differing pixels) and `sizeMismatch` properties.
+ *
+ * @param  Number  threshold  Per channel color difference threshold (optional)
+ * @return Object
+ */
+ImageDiff.prototype.compare = function compare(threshold) {
+    "use strict";
+    if (!this.isReady()) {
+        throw new CasperError("ImageDiff.compare(): images are not loaded");
+    }
+    this.result = this.page.evaluate(require('injector').create(function _evaluate(threshold) {
+        var a = document.getElementById('a'), b = document.getElementById('b');
+        var width = a.naturalWidth, height = a.naturalHeight;
+        if (width !== b.naturalWidth || height !== b.naturalHeight) {
+            return {
+                width:        b.naturalWidth,
+                height:       b.naturalHeight,
+                total:        width * height,
+                mismatch:     width * height,
+                sizeMismatch: true
+            };
+        }
+        function getData(img) {
+            var canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            var context = canvas.getContext('2d');
+            context.drawImage(img, 0, 0);
+            return context.getImageData(0, 0, width, height).data;
+        }
+        var dataA = getData(a), dataB = getData(b);
+        var canvas = document.getElementById('diff');
+        canvas.width = width;
+        canvas.height = height;
+        var context = canvas.getContext('2d');
+        var diff = context.createImageData(width, height);
+        var mismatch = 0;
+        for (var i = 0; i < dataA.length; i += 4) {
+            var differs = false;
+            for (var c = 0; c < 4; c++) {
+                if (Math.abs(dataA[i + c] - dataB[i + c]) > threshold) {
+                    differs = true;
+                    break;
+                }
+            }
+            if (differs) {
+                mismatch++;
+                diff.data[i] = 255;
+                diff.data[i + 1] = diff.data[i + 2] = 0;
+                diff.data[i + 3] = 255;
+            } else {
+                // faded grayscale of the baseline pixel
+                var gray = (dataA[i] + dataA[i + 1] + dataA[i + 2]) / 3;
+                diff.data[i] = diff.data[i + 1] = diff.data[i + 2] = 255 - (255 - gray) / 4;
+                diff.data[i + 3] = 255;
+            }
+        }
+        context.putImageData(diff, 0, 0);
+        return {
+            width:        width,
+            height:       height,
+            total:        width * height,
+            mismatch:     mismatch,
+            sizeMismatch: false
+        };
+    }).process({threshold: ~~threshold}));
+    return this.result;
+};
+
+/**
+ * Checks if both images have been decoded.
+ *
+ * @return Boolean
+ */
+ImageDiff.prototype.isReady = function isReady() {
+    "use strict";
+    return !!this.page && this.page.evaluate(function _evaluate() {
+        return ['a', 'b'].every(function(id) {
+            var img = document.getElementById(id);
+            return img && img.complete && img.naturalWidth > 0;
+        });
+    });
+};
+
+/**
+ * Loads the two base64 encoded PNG images to compare.
+ *
+ * @param  String  base64A  The reference image
+ * @param  String  base64B  The image to compare with the reference one
+ * @return ImageDiff
+ */
+ImageDiff.prototype.load = function load(base64A, base64B) {
+    "use strict";
+    if (!utils.isString(base64A) || !utils.isString(base64B)) {
+        throw new CasperError("ImageDiff.load() needs two base64 encoded images");
+    }
+    this.close();
+    this.result = null;
+    this.page = require('webpage').create();
+    this.page.content = f('<html><body style="margin:0">' +
+                          '<img id="a" style="display:none" src="data:image/png;base64,%s">' +
+                          '<img id="b" style="display:none" src="data:image/png;base64,%s">' +
+                          '<canvas id="diff"></canvas></body></html>', base64A, base64B);
+    return this;
+};
+
+/**
+ * Saves the diff image generated by `compare()` to a PNG file.
+ *
+ * @param  String  targetFile  Target file path
+ * @return Boolean
+ */
+ImageDiff.prototype.render = function render(targetFile) {
+    "use strict";
+    if (!this.result || this.result.sizeMismatch) {
+        return false;
+    }
+    this.page.viewportSize = {
+        width:  this.result.width,
+        height: this.result.height
+    };
+    this.page.clipRect = {
+        top:    0,
+        left:   0,
+        width:  this.result.width,
+        height: this.result.height
+    };
+    return this.page.render(targetFile);
+};
@@ -0,0 +1,187 @@
+/*!
+ * Casper is a navigation utility for PhantomJS.
+ *
+ * Documentation: http://casperjs.org/
+ * Repository:    http://github.com/n1k0/casperjs
+ *
+ * Copyright (c) 2011-2012 Nicolas Perriault
+ *
+ * Part of source code is Copyright Joyent, Inc. and other Node contributors.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included
+ * in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+ * OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL
+ * THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*global CasperError exports require*/
+
+var utils = require('utils');
+
+exports.create = function create(casper) {
+    "use strict";
+    return new Keyboard(casper);
+};
+
+var Keyboard = function Keyboard(casper) {
+    "use strict";
+    if (!utils.isCasperObject(casper)) {
+        throw new CasperError('Keyboard() needs a Casper instance');
+    }
+
+    var slice = Array.prototype.slice;
+
+    var supportedEvents = ['keydown', 'keyup', 'keypress'];
+
+    // QtWebKit key codes, as used by WebPage#sendEvent
+    var keys = {
+        Backspace: 0x01000003,
+        Delete:    0x01000007,
+        Down:      0x01000015,
+        End:       0x01000011,
+        Enter:     0x01000004,
+        Escape:    0x01000000,
+        Home:      0x01000010,
+        Left:      0x01000012,
+        PageDown:  0x01000017,
+        PageUp:    0x01000016,
+        Right:     0x01000014,
+        Space:     0x20,
+        Tab:       0x01000001,
+        Up:        0x01000013
+    };
+
+    var modifiers = {
+        shift:  0x02000000,
+        ctrl:   0x04000000,
+        alt:    0x08000000,
+        meta:   0x10000000,
+        keypad: 0x20000000
+    };
+
+    /**
+     * Computes a modifier bitmask from a `+` separated list of modifier
+     * names, eg. "ctrl+shift".
+     *
+     * @param  String|Number  modifierString
+     * @return Number
+     */
+    function computeModifier(modifierString) {
+        var modifier = 0;
+        if (!modifierString) {
+            return modifier;
+        }
+        if (utils.isNumber(modifierString)) {
+            return modifierString;
+        }
+        if (!utils.isString(modifierString)) {
+            throw new CasperError('Keyboard.computeModifier(): Invalid modifiers: ' + modifierString);
+        }
+        modifierString.split('+').forEach(function _forEach(name) {
+            name = name.trim().toLowerCase();
+            if (!(name in modifiers)) {
+                throw new CasperError('Keyboard.computeModifier(): Unsupported modifier: ' + name);
+            }
+            modifier = modifier | modifiers[name];
+        });
+        return modifier;
+    }
+
+    /**
+     * Resolves a key name (eg. "Enter") to its key code; key codes and
+     * single characters are returned untouched.
+     *
+     * @param  String|Number  key
+     * @return String|Number
+     */
+    function resolveKey(key) {
+        if (utils.isNumber(key)) {
+            return key;
+        }
+        if (utils.isString(key) && key.length > 1 && key in keys) {
+            return keys[key];
+        }
+        if (utils.isString(key) && key.length === 1) {
+            return key;
+        }
+        throw new CasperError('Keyboard.resolveKey(): Unsupported key: ' + key);
+    }
+
+    function processEvent(type, args) {
+        if (!utils.isString(type) || supportedEvents.indexOf(type) === -1) {
+            throw new CasperError('Keyboard.processEvent(): Unsupported keyboard event type: ' + type);
+        }
+        args = slice.call(args); // cast Arguments -> Array
+        if (args.length === 0) {
+            throw new CasperError('Keyboard.processEvent(): Too few arguments');
+        } else if (args.length > 2) {
+            throw new CasperError('Keyboard.processEvent(): Too many arguments');
+        }
+        var key = resolveKey(args[0]);
+        casper.emit('keyboard.' + type, args);
+        casper.page.sendEvent(type, key, null, null, computeModifier(args[1]));
+    }
+
+    this.keys = keys;
+
+    this.modifiers = modifiers;
+
+    this.processEvent = function() {
+        processEvent(arguments[0], slice.call(arguments, 1));
+    };
+
+    this.down = function down() {
+        processEvent('keydown', arguments);
+    };
+
+    this.press = function press() {
+        processEvent('keypress', arguments);
+    };
+
+    this.up = function up() {
+        processEvent('keyup', arguments);
+    };
+
+    /**
+     * Types a sequence of keys. Strings are typed character by character,
+     * numbers are processed as key codes so special keys can be sent using
+     * the `keys` map, eg.:
+     *
+     *     casper.keyboard.sendKeys(['casperjs', casper.keyboard.keys.Enter]);
+     *
+     * @param  String|Array   sequence   A string or an array of strings and key codes
+     * @param  String|Number  modifiers  Modifiers to apply, eg. "ctrl+shift" (optional)
+     */
+    this.sendKeys = function sendKeys(sequence, modifiers) {
+        var self = this;
+        if (!utils.isArray(sequence)) {
+            sequence = [sequence];
+        }
+        sequence.forEach(function _forEach(item) {
+            if (utils.isNumber(item)) {
+                self.press(item, modifiers);
+            } else if (utils.isString(item)) {
+                item.split('').forEach(function _forEach(chr) {
+                    self.press(chr, modifiers);
+                });
+            } else {
+                throw new CasperError('Keyboard.sendKeys(): Unsupported key sequence item: ' + item);
+            }
+        });
+    };
+};
+exports.Keyboard = Keyboard;
@@ -0,0 +1,275 @@
+/*!
+ * Casper is a navigation utility for PhantomJS.
+ *
+ * Documentation: http://casperjs.org/
+ * Repository:    http://github.com/n1k0/casperjs
+ *
+ * Copyright (c) 2011-2012 Nicolas Perriault
+ *
+ * Part of source code is Copyright Joyent, Inc. and other Node contributors.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included
+ * in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+ * OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL
+ * THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*global CasperError exports require*/
+
+var utils = require('utils');
+var f = utils.format;
+
+exports.create = function create(casper) {
+    "use strict";
+    return new NetworkTracker(casper);
+};
+
+/**
+ * Records the network activity of a Casper instance, listening to its
+ * `resource.*` events. Each request is tracked as an entry object:
+ *
+ * - `id`:              request id
+ * - `url`:             requested url
+ * - `method`:          HTTP method
+ * - `requestHeaders`:  request headers
+ * - `state`:           one of `pending`, `completed`, `failed` or `aborted`
+ * - `startTime`:       request Date
+ * - `responseTime`:    Date the first response bytes were received
+ * - `endTime`:         Date the request has been completed, failed or aborted
+ * - `duration`:        request duration, in milliseconds
+ * - `status`:          HTTP status code
+ * - `statusText`:      HTTP status text
+ * - `contentType`:     response content type
+ * - `redirectURL`:     redirection target url, if any
+ * - `responseHeaders`: response headers
+ * - `size`:            response body size, in bytes, when known
+ * - `error`:           error message, when the request failed
+ *
+ * @param  Casper  casper  A Casper instance
+ */
+var NetworkTracker = function NetworkTracker(casper) {
+    "use strict";
+    if (!utils.isCasperObject(casper)) {
+        throw new CasperError("NetworkTracker needs a Casper instance");
+    }
+    var self = this;
+    this.casper = casper;
+    this.clear();
+    casper.on('resource.requested', function _onRequested(request) {
+        self.onRequested(request);
+    });
+    casper.on('resource.received', function _onReceived(response) {
+        self.onReceived(response);
+    });
+    casper.on('resource.error', function _onError(error) {
+        self.onError(error);
+    });
+    casper.on('resource.aborted', function _onAborted(request) {
+        self.onAborted(request);
+    });
+};
+exports.NetworkTracker = NetworkTracker;
+
+/**
+ * Discards all the recorded network activity.
+ *
+ * @return NetworkTracker
+ */
+NetworkTracker.prototype.clear = function clear() {
+    "use strict";
+    this.entries = [];
+    this.lastActivity = new Date();
+    this.pending = {};
+    return this;
+};
+
+/**
+ * Closes a pending entry.
+ *
+ * @param  Object  entry  The entry
+ * @param  String  state  Final state
+ * @return Object
+ */
+NetworkTracker.prototype.close = function close(entry, state) {
+    "use strict";
+    entry.state = state;
+    entry.endTime = this.lastActivity = new Date();
+    entry.duration = entry.endTime - entry.startTime;
+    delete this.pending[entry.id];
+    return entry;
+};
+
+/**
+ * Retrieves the pending entry matching a resource object, looking it up by
+ * id, then by url as resource errors may not expose any id. Closed entries
+ * are looked up by id when `closed` is true.
+ *
+ * @param  Object   resource  A request, response or error object
+ * @param  Boolean  closed    Also look for closed entries
+ * @return Object|undefined
+ */
+NetworkTracker.prototype.findEntry = function findEntry(resource, closed) {
+    "use strict";
+    if (resource.id in this.pending) {
+        return this.pending[resource.id];
+    }
+    for (var id in this.pending) {
+        if (this.pending[id].url === resource.url) {
+            return this.pending[id];
+        }
+    }
+    if (closed === true) {
+        return this.getEntries(function _filter(entry) {
+            return entry.id === resource.id;
+        }).pop();
+    }
+};
+
+/**
+ * Retrieves tracked entries, by request start order. The optional filter
+ * function is passed each entry and must return true to retain it.
+ *
+ * @param  Function  filter  An optional filter function
+ * @return Array
+ */
+NetworkTracker.prototype.getEntries = function getEntries(filter) {
+    "use strict";
+    return this.entries.filter(function _filter(entry) {
+        return utils.isFunction(filter) ? filter(entry) : true;
+    });
+};
+
+/**
+ * Retrieves the entries of the requests still waiting for a response.
+ *
+ * @return Array
+ */
+NetworkTracker.prototype.getPending = function getPending() {
+    "use strict";
+    return this.getEntries(function _filter(entry) {
+        return entry.state === "pending";
+    });
+};
+
+/**
+ * Checks that no request is pending, and that no network activity occured
+ * within the provided number of milliseconds.
+ *
+ * @param  Number   idleTime  Minimum idle time in ms (default: 0)
+ * @return Boolean
+ */
+NetworkTracker.prototype.isIdle = function isIdle(idleTime) {
+    "use strict";
+    if (Object.keys(this.pending).length > 0) {
+        return false;
+    }
+    return new Date() - this.lastActivity >= (~~idleTime || 0);
+};
+
+/**
+ * Listener for `resource.aborted` events.
+ *
+ * @param  Object  request  The aborted request
+ */
+NetworkTracker.prototype.onAborted = function onAborted(request) {
+    "use strict";
+    var entry = this.findEntry(request);
+    if (entry) {
+        this.close(entry, "aborted");
+    }
+};
+
+/**
+ * Listener for `resource.error` events.
+ *
+ * @param  Object  error  The resource error object
+ */
+NetworkTracker.prototype.onError = function onError(error) {
+    "use strict";
+    var entry = this.findEntry(error);
+    if (entry) {
+        entry.error = f("%s (code %d)", error.errorString, error.errorCode);
+        this.close(entry, "failed");
+    }
+};
+
+/**
+ * Listener for `resource.received` events.
+ *
+ * @param  Object  response  The response object
+ */
+NetworkTracker.prototype.onReceived = function onReceived(response) {
+    "use strict";
+    // HTTP errors may be reported before the response is received
+    var entry = this.findEntry(response, true);
+    if (!entry) {
+        return;
+    }
+    ['status', 'statusText', 'contentType', 'redirectURL'].forEach(function _forEach(name) {
+        if (response[name] !== undefined && response[name] !== null) {
+            entry[name] = response[name];
+        }
+    });
+    if (utils.isArray(response.headers) && response.headers.length > 0) {
+        entry.responseHeaders = response.headers;
+    }
+    if (response.stage === "start") {
+        entry.responseTime = this.lastActivity = new Date();
+        entry.size = getContentLength(entry.responseHeaders || []);
+        if (entry.size === undefined && utils.isNumber(response.bodySize)) {
+            entry.size = response.bodySize;
+        }
+    } else if (response.stage === "end" && entry.state === "pending") {
+        this.close(entry, "completed");
+    }
+};
+
+/**
+ * Listener for `resource.requested` events.
+ *
+ * @param  Object  request  The request object
+ */
+NetworkTracker.prototype.onRequested = function onRequested(request) {
+    "use strict";
+    var entry = {
+        id:             request.id,
+        url:            request.url,
+        method:         request.method,
+        requestHeaders: request.headers || [],
+        state:          "pending",
+        startTime:      this.lastActivity = new Date()
+    };
+    this.entries.push(entry);
+    this.pending[entry.id] = entry;
+};
+
+/**
+ * Reads the Content-Length value of a list of response headers.
+ *
+ * @param  Array  headers  Headers as {name, value} objects
+ * @return Number|undefined
+ */
+function getContentLength(headers) {
+    "use strict";
+    var length;
+    headers.forEach(function _forEach(header) {
+        if (header.name && header.name.toLowerCase() === "content-length") {
+            length = parseInt(header.value, 10);
+        }
+    });
+    return isNaN(length) ? undefined : length;
+}
@@ -0,0 +1,264 @@
+/*!
+ * Casper is a navigation utility for PhantomJS.
+ *
+ * Documentation: http://casperjs.org/
+ * Repository:    http://github.com/n1k0/casperjs
+ *
+ * Copyright (c) 2011-2012 Nicolas Perriault
+ *
+ * Part of source code is Copyright Joyent, Inc. and other Node contributors.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included
+ * in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+ * OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL
+ * THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*global CasperError exports require setTimeout*/
+
+var utils = require('utils');
+
+/**
+ * Minimal ES5 compatible promise implementation, following the Promises/A+
+ * specification, for use within PhantomJS which doesn't provide any.
+ *
+ * @param  Function  resolver  A function receiving resolve and reject callbacks
+ */
+var Promise = function Promise(resolver) {
+    "use strict";
+    if (!utils.isFunction(resolver)) {
+        throw new CasperError("Promise() needs a resolver function");
+    }
+    this.state = "pending";
+    this.value = undefined;
+    this.handlers = [];
+    var self = this, called = false;
+    try {
+        resolver(function resolve(value) {
+            if (!called) {
+                called = true;
+                resolvePromise(self, value);
+            }
+        }, function reject(reason) {
+            if (!called) {
+                called = true;
+                settle(self, "rejected", reason);
+            }
+        });
+    } catch (e) {
+        if (!called) {
+            called = true;
+            settle(self, "rejected", e);
+        }
+    }
+};
+exports.Promise = Promise;
+
+/**
+ * Adds a rejection handler.
+ *
+ * @param  Function  onRejected
+ * @return Promise
+ */
+Promise.prototype['catch'] = function _catch(onRejected) {
+    "use strict";
+    return this.then(null, onRejected);
+};
+
+/**
+ * Checks if the promise has been either resolved or rejected.
+ *
+ * @return Boolean
+ */
+Promise.prototype.isSettled = function isSettled() {
+    "use strict";
+    return this.state !== "pending";
+};
+
+/**
+ * Adds fulfillment and rejection handlers, returning a new promise resolved
+ * with the value returned by the called handler.
+ *
+ * @param  Function  onFulfilled  (optional)
+ * @param  Function  onRejected   (optional)
+ * @return Promise
+ */
+Promise.prototype.then = function then(onFulfilled, onRejected) {
+    "use strict";
+    var self = this;
+    return new Promise(function _resolver(resolve, reject) {
+        self.handlers.push({
+            onFulfilled: onFulfilled,
+            onRejected:  onRejected,
+            resolve:     resolve,
+            reject:      reject
+        });
+        if (self.isSettled()) {
+            flush(self);
+        }
+    });
+};
+
+/**
+ * Creates a deferred object, exposing a promise along with the functions
+ * resolving or rejecting it.
+ *
+ * @return Object
+ */
+exports.defer = function defer() {
+    "use strict";
+    var deferred = {};
+    deferred.promise = new Promise(function _resolver(resolve, reject) {
+        deferred.resolve = resolve;
+        deferred.reject = reject;
+    });
+    return deferred;
+};
+
+/**
+ * Creates a promise resolved with the provided value.
+ *
+ * @param  Mixed  value
+ * @return Promise
+ */
+exports.resolve = function resolve(value) {
+    "use strict";
+    return new Promise(function _resolver(resolve) {
+        resolve(value);
+    });
+};
+
+/**
+ * Creates a promise rejected with the provided reason.
+ *
+ * @param  Mixed  reason
+ * @return Promise
+ */
+exports.reject = function reject(reason) {
+    "use strict";
+    return new Promise(function _resolver(resolve, reject) {
+        reject(reason);
+    });
+};
+
+/**
+ * Creates a promise resolved with the array of values of all the provided
+ * promises or values, or rejected as soon as one of them is.
+ *
+ * @param  Array  promises
+ * @return Promise
+ */
+exports.all = function all(promises) {
+    "use strict";
+    return new Promise(function _resolver(resolve, reject) {
+        var values = [], remaining = promises.length;
+        if (remaining === 0) {
+            return resolve(values);
+        }
+        promises.forEach(function _forEach(promise, index) {
+            exports.resolve(promise).then(function _onFulfilled(value) {
+                values[index] = value;
+                if (--remaining === 0) {
+                    resolve(values);
+                }
+            }, reject);
+        });
+    });
+};
+
+/**
+ * Calls the handlers of a settled promise, asynchronously.
+ *
+ * @param  Promise  promise
+ */
+function flush(promise) {
+    "use strict";
+    setTimeout(function _flush() {
+        var handlers = promise.handlers;
+        promise.handlers = [];
+        handlers.forEach(function _forEach(handler) {
+            var callback = promise.state === "fulfilled" ? handler.onFulfilled : handler.onRejected;
+            if (!utils.isFunction(callback)) {
+                return (promise.state === "fulfilled" ? handler.resolve : handler.reject)(promise.value);
+            }
+            try {
+                handler.resolve(callback(promise.value));
+            } catch (e) {
+                handler.reject(e);
+            }
+        });
+    }, 0);
+}
+
+/**
+ * Resolves a promise with a value, adopting its state if it's a thenable.
+ *
+ * @param  Promise  promise
+ * @param  Mixed    value
+ */
+function resolvePromise(promise, value) {
+    "use strict";
+    if (value === promise) {
+        return settle(promise, "rejected", new TypeError("A promise cannot be resolved with itself"));
+    }
+    if (value && (typeof value === "object" || typeof value === "function")) {
+        var then, called = false;
+        try {
+            then = value.then;
+        } catch (e) {
+            return settle(promise, "rejected", e);
+        }
+        if (utils.isFunction(then) && !utils.isCasperObject(value)) {
+            try {
+                then.call(value, function _onFulfilled(result) {
+                    if (!called) {
+                        called = true;
+                        resolvePromise(promise, result);
+                    }
+                }, function _onRejected(reason) {
+                    if (!called) {
+                        called = true;
+                        settle(promise, "rejected", reason);
+                    }
+                });
+            } catch (e) {
+                if (!called) {
+                    settle(promise, "rejected", e);
+                }
+            }
+            return;
+        }
+    }
+    settle(promise, "fulfilled", value);
+}
+
+/**
+ * Settles a pending promise.
+ *
+ * @param  Promise  promise
+ * @param  String   state    Either "fulfilled" or "rejected"
+ * @param  Mixed    value    Fulfillment value or rejection reason
+ */
+function settle(promise, state, value) {
+    "use strict";
+    if (promise.isSettled()) {
+        return;
+    }
+    promise.state = state;
+    promise.value = value;
+    flush(promise);
+}
@@ -0,0 +1,407 @@
+/*!
+ * Casper is a navigation utility for PhantomJS.
+ *
+ * Documentation: http://casperjs.org/
+ * Repository:    http://github.com/n1k0/casperjs
+ *
+ * Copyright (c) 2011-2012 Nicolas Perriault
+ *
+ * Part of source code is Copyright Joyent, Inc. and other Node contributors.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included
+ * in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+ * OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL
+ * THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*global CasperError exports phantom require setTimeout*/
+
+var fs = require('fs');
+var utils = require('utils');
+var f = utils.format;
+
+/**
+ * Casper methods available as shortcut functions in the REPL.
+ *
+ */
+var SHORTCUTS = [
+    'back', 'capture', 'captureSelector', 'click', 'clickLabel', 'debugHTML', 'debugPage', 'download',
+    'echo', 'evaluate', 'exists', 'fetchText', 'fill', 'forward', 'getCookies', 'getCurrentUrl',
+    'getElementAttribute', 'getElementBounds', 'getGlobal', 'getNetworkLog', 'getPageContent', 'getTitle',
+    'mouseEvent', 'open', 'reload', 'sendKeys', 'switchToFrame', 'switchToMainFrame', 'switchToParentFrame',
+    'uploadFile', 'viewport', 'visible', 'wait', 'waitFor', 'waitForNetworkIdle', 'waitForPopup',
+    'waitForResource', 'waitForSelector', 'waitUntilVisible', 'waitWhileSelector', 'waitWhileVisible'
+];
+exports.SHORTCUTS = SHORTCUTS;
+
+exports.create = function create(casper, options) {
+    "use strict";
+    return new Repl(casper, options);
+};
+
+/**
+ * Interactive Read-Eval-Print Loop driving a Casper instance.
+ *
+ * Each entered line is either:
+ *
+ * - a `.command`, see `Repl#help()`
+ * - a `!n` history recall, `!!` being the last entry
+ * - a `> expression` evaluated within the remote page
+ * - some javascript code, evaluated within a step where Casper methods are
+ *   available as functions, eg. `click('a.next')`; the next prompt is shown
+ *   once the navigation steps it triggered are done
+ *
+ * Available options:
+ *
+ * - String  historyFile:  file where entered lines are persisted (optional)
+ * - Number  historySize:  maximum number of history entries (default: 500)
+ * - String  prompt:       prompt text (default: "casper> ")
+ *
+ * @param  Casper  casper   A Casper instance
+ * @param  Object  options  Options (optional)
+ */
+var Repl = function Repl(casper, options) {
+    "use strict";
+    if (!utils.isCasperObject(casper)) {
+        throw new CasperError("Repl() needs a Casper instance");
+    }
+    this.casper = casper;
+    this.options = utils.mergeObjects({
+        historyFile: null,
+        historySize: 500,
+        prompt:      "casper> "
+    }, options || {});
+    this.closed = false;
+    this.history = [];
+    this.running = false;
+    this.scope = createScope(this);
+    this.loadHistory();
+};
+exports.Repl = Repl;
+
+/**
+ * Adds a line to the history, and persists it to the history file if any.
+ *
+ * @param  String  line  Entered line
+ */
+Repl.prototype.addHistory = function addHistory(line) {
+    "use strict";
+    if (this.history[this.history.length - 1] === line) {
+        return;
+    }
+    this.history.push(line);
+    if (this.history.length > this.options.historySize) {
+        this.history.splice(0, this.history.length - this.options.historySize);
+    }
+    if (this.options.historyFile) {
+        try {
+            fs.write(this.options.historyFile, this.history.join('\n') + '\n', 'w');
+        } catch (e) {
+            this.casper.warn(f("Unable to write REPL history to %s: %s", this.options.historyFile, e));
+        }
+    }
+};
+
+/**
+ * Evaluates javascript code in the REPL scope.
+ *
+ * @param  String  code  Javascript code
+ * @return mixed
+ */
+Repl.prototype.evaluate = function evaluate(code) {
+    "use strict";
+    var names = Object.keys(this.scope), fn;
+    try {
+        // expressions are evaluated for their value
+        fn = new Function(names.join(', '), 'return (' + code + '\n);');
+    } catch (e) {
+        fn = new Function(names.join(', '), code);
+    }
+    return fn.apply(this.casper, names.map(function _map(name) {
+        return this.scope[name];
+    }, this));
+};
+
+/**
+ * Evaluates an expression within the remote page.
+ *
+ * @param  String  expression  Javascript expression
+ * @return mixed
+ */
+Repl.prototype.evaluateRemote = function evaluateRemote(expression) {
+    "use strict";
+    return this.casper.evaluate(function _evaluate(expression) {
+        return (0, eval)(expression);
+    }, {expression: expression});
+};
+
+/**
+ * Executes an entered line, then calls `done` with the error and the result
+ * once the navigation it triggered is done.
+ *
+ * @param  String    line  Entered line
+ * @param  Function  done  Completion callback (optional)
+ */
+Repl.prototype.execute = function execute(line, done) {
+    "use strict";
+    var self = this, casper = this.casper, error, result;
+    done = utils.isFunction(done) ? done : function() {};
+    line = (line || '').trim();
+    if (!line) {
+        return done();
+    }
+    if (/^!(!|\d+)$/.test(line)) {
+        var entry = line === '!!' ? this.history[this.history.length - 1] : this.history[~~line.substr(1) - 1];
+        if (!entry) {
+            this.write(f('No history entry %s', line.substr(1)), 'ERROR');
+            return done(new CasperError(f('No history entry %s', line.substr(1))));
+        }
+        this.write(entry, 'COMMENT');
+        return this.execute(entry, done);
+    }
+    this.addHistory(line);
+    if (line[0] === '.') {
+        return done(undefined, this.executeCommand(line));
+    }
+    if (!casper.started) {
+        casper.start();
+    } else {
+        // restart the step queue, without the start-up start() performs
+        casper.clearSteps();
+    }
+    casper.then(function _step() {
+        try {
+            if (line[0] === '>') {
+                result = self.evaluateRemote(line.substr(1).trim());
+            } else {
+                result = self.evaluate(line);
+            }
+        } catch (e) {
+            error = e;
+        }
+    });
+    this.running = true;
+    casper.run(function _complete() {
+        self.running = false;
+        if (error) {
+            self.write(f('%s: %s', error.name || 'Error', error.message || error), 'ERROR');
+        } else if (result !== undefined && !utils.isCasperObject(result)) {
+            self.print(result);
+        }
+        done(error, result);
+    });
+};
+
+/**
+ * Executes a `.command`.
+ *
+ * @param  String  line  Entered line
+ * @return mixed
+ */
+Repl.prototype.executeCommand = function executeCommand(line) {
+    "use strict";
+    switch (line.split(/\s+/)[0]) {
+        case '.exit':
+        case '.quit':
+            this.closed = true;
+            this.casper.exit(0);
+            break;
+        case '.help':
+            this.write(this.help());
+            break;
+        case '.history':
+            this.history.forEach(function _forEach(entry, index) {
+                this.write(f('%d  %s', index + 1, entry));
+            }, this);
+            break;
+        default:
+            this.write(f('Unknown command %s, type .help for help', line), 'ERROR');
+    }
+};
+
+/**
+ * Retrieves the REPL help text.
+ *
+ * @return String
+ */
+Repl.prototype.help = function help() {
+    "use strict";
+    return [
+        'Enter javascript code to run it, Casper methods being available as functions:',
+        '',
+        '    open("http://casperjs.org/")',
+        '    click("a.next")',
+        '    fill("form#search", {q: "casperjs"}, true)',
+        '    fetchText("h1")',
+        '    capture("page.png")',
+        '',
+        'Available functions: ' + SHORTCUTS.join(', '),
+        '',
+        'The `casper` and `utils` objects are available, and the `$` object can be',
+        'used to keep values across lines, eg. `$.title = getTitle()`.',
+        '',
+        'Special input:',
+        '',
+        '    > expression  Evaluates an expression within the remote page',
+        '    !n            Runs the history entry n again',
+        '    !!            Runs the last history entry again',
+        '',
+        'Commands:',
+        '',
+        '    .exit         Exits the REPL',
+        '    .help         Prints this help',
+        '    .history      Lists previously entered lines'
+    ].join('\n');
+};
+
+/**
+ * Loads the history file if any.
+ *
+ */
+Repl.prototype.loadHistory = function loadHistory() {
+    "use strict";
+    var file = this.options.historyFile;
+    if (!file || !fs.isFile(file)) {
+        return;
+    }
+    try {
+        this.history = fs.read(file).split('\n').filter(function _filter(line) {
+            return line.trim().length > 0;
+        }).slice(-this.options.historySize);
+    } catch (e) {
+        this.casper.warn(f("Unable to read REPL history from %s: %s", file, e));
+    }
+};
+
+/**
+ * Pretty prints a result.
+ *
+ * @param  mixed  value  Result
+ */
+Repl.prototype.print = function print(value) {
+    "use strict";
+    if (utils.isFunction(value)) {
+        this.write(value.toString());
+        return;
+    }
+    try {
+        utils.dump(value);
+    } catch (e) {
+        // eg. circular structures
+        this.write(String(value));
+    }
+};
+
+/**
+ * Reads and executes lines from the standard input until it's closed or the
+ * `.exit` command is entered.
+ *
+ */
+Repl.prototype.prompt = function prompt() {
+    "use strict";
+    var self = this, stdin = require('system').stdin, stdout = require('system').stdout;
+    if (this.closed) {
+        return;
+    }
+    if (stdout && utils.isFunction(stdout.write)) {
+        stdout.write(this.options.prompt);
+        if (utils.isFunction(stdout.flush)) {
+            stdout.flush();
+        }
+    } else {
+        this.write(this.options.prompt);
+    }
+    var line = stdin.readLine();
+    if (utils.isFunction(stdin.atEnd) && stdin.atEnd() && !line) {
+        this.write('');
+        this.closed = true;
+        return this.casper.exit(0);
+    }
+    this.execute(line, function _done() {
+        // let the event loop process pending page events
+        setTimeout(function _next() {
+            self.prompt();
+        }, 0);
+    });
+};
+
+/**
+ * Starts the REPL, optionally opening a location first.
+ *
+ * @param  String  location  Location to open (optional)
+ */
+Repl.prototype.start = function start(location) {
+    "use strict";
+    var self = this, system = require('system');
+    if (!system.stdin || !utils.isFunction(system.stdin.readLine)) {
+        throw new CasperError("The REPL needs a PhantomJS version supporting standard input reading (1.9+)");
+    }
+    this.write(f('CasperJS %s REPL, type .help for help', phantom.casperVersion.toString()), 'INFO');
+    this.casper.start(location);
+    if (!location) {
+        // run() needs at least one step
+        this.casper.then(function() {});
+    }
+    this.casper.run(function _ready() {
+        if (location) {
+            self.write(f('Opened %s (HTTP %s)', this.getCurrentUrl(), this.currentHTTPStatus), 'COMMENT');
+        }
+        self.prompt();
+    });
+};
+
+/**
+ * Writes a message.
+ *
+ * @param  String  text   Message
+ * @param  String  style  Colorizer style (optional)
+ */
+Repl.prototype.write = function write(text, style) {
+    "use strict";
+    this.casper.echo(text, style);
+};
+
+/**
+ * Creates the REPL evaluation scope.
+ *
+ * @param  Repl  repl  REPL instance
+ * @return Object
+ */
+function createScope(repl) {
+    "use strict";
+    var casper = repl.casper, scope = {
+        $:      {},
+        casper: casper,
+        utils:  utils
+    };
+    SHORTCUTS.forEach(function _forEach(name) {
+        scope[name] = function _shortcut() {
+            var args = Array.prototype.slice.call(arguments);
+            if (/^wait(For|Until|While)/.test(name) && !utils.isFunction(args[2])) {
+                // don't exit on wait timeouts
+                while (args.length < 2) {
+                    args.push(undefined);
+                }
+                args[2] = function _onTimeout() {
+                    repl.write(f('%s() timeout expired', name), 'ERROR');
+                };
+            }
+            return casper[name].apply(casper, args);
+        };
+    });
+    return scope;
+}
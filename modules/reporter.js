@@ -0,0 +1,503 @@
+/*!
+ * Casper is a navigation utility for PhantomJS.
+ *
+ * Documentation: http://casperjs.org/
+ * Repository:    http://github.com/n1k0/casperjs
+ *
+ * Copyright (c) 2011-2012 Nicolas Perriault
+ *
+ * Part of source code is Copyright Joyent, Inc. and other Node contributors.
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a
+ * copy of this software and associated documentation files (the "Software"),
+ * to deal in the Software without restriction, including without limitation
+ * the rights to use, copy, modify, merge, publish, distribute, sublicense,
+ * and/or sell copies of the Software, and to permit persons to whom the
+ * Software is furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included
+ * in all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS
+ * OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL
+ * THE AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING
+ * FROM, OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER
+ * DEALINGS IN THE SOFTWARE.
+ *
+ */
+
+/*global CasperError exports require*/
+
+var utils = require('utils');
+var f = utils.format;
+
+/**
+ * Creates a reporter instance for a given tester. Built-in reporters are
+ * `console` (default), `tap`, `json` and `dot`; any other name is loaded
+ * as a module using `require()`, which must export a `create(tester,
+ * options)` function returning a reporter instance.
+ *
+ * @param  String  name     Reporter name or module path
+ * @param  Tester  tester   A Tester instance
+ * @param  Object  options  Reporter options (optional)
+ * @return Reporter
+ */
+exports.create = function create(name, tester, options) {
+    "use strict";
+    var reporter, module;
+    name = name || 'console';
+    if (builtins.hasOwnProperty(name)) {
+        reporter = new builtins[name](tester, options);
+    } else {
+        try {
+            module = require(name);
+        } catch (e) {
+            throw new CasperError(f("Unable to load reporter %s: %s", name, e));
+        }
+        if (!utils.isObject(module) || !utils.isFunction(module.create)) {
+            throw new CasperError(f("Reporter module %s must export a create() function", name));
+        }
+        reporter = module.create(tester, options);
+    }
+    if (!utils.isObject(reporter) || !utils.isFunction(reporter.attach) || !utils.isFunction(reporter.render)) {
+        throw new CasperError(f("Invalid reporter: %s", name));
+    }
+    return reporter;
+};
+
+/**
+ * Base reporter: listens to the `success`, `fail` and `skipped` events of a
+ * tester and renders its results. Custom reporters should inherit from it
+ * and override the `on*()`, `comment()`, `suite()` and `render()` methods.
+ *
+ * @param  Tester  tester   A Tester instance
+ * @param  Object  options  Reporter options (optional)
+ */
+var Reporter = function Reporter(tester, options) {
+    "use strict";
+    if (!utils.isObject(tester) || !utils.isCasperObject(tester.casper)) {
+        throw new CasperError("Reporter needs a Tester instance");
+    }
+    this.tester = tester;
+    this.casper = tester.casper;
+    this.options = utils.isObject(options) ? options : {};
+    this.handlers = null;
+};
+exports.Reporter = Reporter;
+
+/**
+ * Starts listening to the tester events.
+ *
+ * @return Reporter
+ */
+Reporter.prototype.attach = function attach() {
+    "use strict";
+    var self = this;
+    if (this.handlers !== null) {
+        return this;
+    }
+    this.handlers = {
+        success: function onSuccess(success) {
+            self.onSuccess(success);
+        },
+        fail: function onFail(failure) {
+            self.onFail(failure);
+        },
+        skipped: function onSkip(skipped) {
+            self.onSkip(skipped);
+        }
+    };
+    Object.keys(this.handlers).forEach(function _forEach(event) {
+        this.tester.on(event, this.handlers[event]);
+    }, this);
+    return this;
+};
+
+/**
+ * Writes a comment.
+ *
+ * @param  String  message
+ */
+Reporter.prototype.comment = function comment(message) {
+    "use strict";
+    this.write('# ' + message, 'COMMENT');
+};
+
+/**
+ * Stops listening to the tester events.
+ *
+ * @return Reporter
+ */
+Reporter.prototype.detach = function detach() {
+    "use strict";
+    if (this.handlers === null) {
+        return this;
+    }
+    Object.keys(this.handlers).forEach(function _forEach(event) {
+        this.tester.removeListener(event, this.handlers[event]);
+    }, this);
+    this.handlers = null;
+    return this;
+};
+
+/**
+ * Processes a failed assertion result.
+ *
+ * @param  Object  failure  An assertion result object
+ */
+Reporter.prototype.onFail = function onFail(failure) {
+    "use strict";
+};
+
+/**
+ * Processes a skipped test.
+ *
+ * @param  Object  skipped  A skipped test object
+ */
+Reporter.prototype.onSkip = function onSkip(skipped) {
+    "use strict";
+};
+
+/**
+ * Processes a successful assertion result.
+ *
+ * @param  Object  success  An assertion result object
+ */
+Reporter.prototype.onSuccess = function onSuccess(success) {
+    "use strict";
+};
+
+/**
+ * Renders the final tests results.
+ *
+ * @param  Object  testResults  The tester results object
+ */
+Reporter.prototype.render = function render(testResults) {
+    "use strict";
+};
+
+/**
+ * Announces a new test file.
+ *
+ * @param  String  testFile
+ */
+Reporter.prototype.suite = function suite(testFile) {
+    "use strict";
+};
+
+/**
+ * Writes a line of text to the console.
+ *
+ * @param  String  text
+ * @param  String  style  Colorizer style (optional)
+ * @param  Number  pad    Padding length (optional)
+ */
+Reporter.prototype.write = function write(text, style, pad) {
+    "use strict";
+    this.casper.echo(text, style, pad);
+};
+
+/**
+ * Console reporter: colorized PASS/FAIL lines and a results summary bar.
+ *
+ */
+var ConsoleReporter = function ConsoleReporter() {
+    "use strict";
+    ConsoleReporter.super_.apply(this, arguments);
+};
+utils.inherits(ConsoleReporter, Reporter);
+exports.ConsoleReporter = ConsoleReporter;
+
+ConsoleReporter.prototype.onFail = function onFail(failure) {
+    "use strict";
+    this.writeResult(this.tester.options.failText, 'RED_BAR', failure);
+    if (failure.type) {
+        this.tester.comment('   type: ' + failure.type);
+    }
+    if (failure.values && Object.keys(failure.values).length > 0) {
+        for (var name in failure.values) {
+            var comment = '   ' + name + ': ';
+            try {
+                comment += utils.serialize(failure.values[name]);
+            } catch (e) {
+                try {
+                    comment += utils.serialize(failure.values[name].toString());
+                } catch (e) {
+                    comment += '(unserializable value)';
+                }
+            }
+            this.tester.comment(comment);
+        }
+    }
+};
+
+ConsoleReporter.prototype.onSkip = function onSkip(skipped) {
+    "use strict";
+    this.write([this.tester.colorize('SKIP', 'COMMENT'), skipped.message].join(' '));
+};
+
+ConsoleReporter.prototype.onSuccess = function onSuccess(success) {
+    "use strict";
+    this.writeResult(this.tester.options.passText, 'INFO', success);
+};
+
+ConsoleReporter.prototype.render = function render(testResults) {
+    "use strict";
+    var options = this.tester.options;
+    var total = testResults.passed + testResults.failed, statusText, style, result;
+    if (total === 0) {
+        statusText = options.failText;
+        style = 'RED_BAR';
+        result = f("%s Looks like you didn't run any test.", statusText);
+    } else {
+        if (testResults.failed > 0) {
+            statusText = options.failText;
+            style = 'RED_BAR';
+        } else {
+            statusText = options.passText;
+            style = 'GREEN_BAR';
+        }
+        result = f('%s %s tests executed, %d passed, %d failed%s.',
+                   statusText, total, testResults.passed, testResults.failed,
+                   testResults.skipped > 0 ? f(', %d skipped', testResults.skipped) : '');
+    }
+    this.write(result, style, options.pad);
+    if (testResults.failed > 0) {
+        this.tester.renderFailureDetails(testResults.failures);
+    }
+    if (testResults.skippedFiles.length > 0) {
+        this.write(f("\nTests have been stopped, %d test file%s skipped:", testResults.skippedFiles.length,
+                     testResults.skippedFiles.length > 1 ? "s were" : " was"), "WARNING");
+        testResults.skippedFiles.forEach(function _forEach(testFile) {
+            this.write('  ' + testFile, "COMMENT");
+        }, this);
+    }
+};
+
+ConsoleReporter.prototype.suite = function suite(testFile) {
+    "use strict";
+    this.write(f('Test file: %s', testFile), 'INFO_BAR', this.tester.options.pad);
+};
+
+/**
+ * Writes a colorized assertion result line.
+ *
+ * @param  String  status  Status text
+ * @param  String  style   Status style
+ * @param  Object  result  An assertion result object
+ */
+ConsoleReporter.prototype.writeResult = function writeResult(status, style, result) {
+    "use strict";
+    var message = result.message || result.standard;
+    this.write([this.tester.colorize(status, style), this.tester.formatMessage(message)].join(' '));
+};
+
+/**
+ * Dot reporter: a compact progress line made of a `.` per passed test, a
+ * `F` per failed one and a `S` per skipped one, followed by the console
+ * reporter summary.
+ *
+ */
+var DotReporter = function DotReporter() {
+    "use strict";
+    DotReporter.super_.apply(this, arguments);
+    this.dots = '';
+};
+utils.inherits(DotReporter, ConsoleReporter);
+exports.DotReporter = DotReporter;
+
+DotReporter.prototype.comment = function comment(message) {
+    "use strict";
+};
+
+/**
+ * Writes pending dots, if any.
+ *
+ */
+DotReporter.prototype.flush = function flush() {
+    "use strict";
+    if (this.dots.length > 0) {
+        this.write(this.dots);
+        this.dots = '';
+    }
+};
+
+DotReporter.prototype.onFail = function onFail(failure) {
+    "use strict";
+    this.progress('F');
+};
+
+DotReporter.prototype.onSkip = function onSkip(skipped) {
+    "use strict";
+    this.progress('S');
+};
+
+DotReporter.prototype.onSuccess = function onSuccess(success) {
+    "use strict";
+    this.progress('.');
+};
+
+/**
+ * Adds a progress symbol, writing the line once it's full.
+ *
+ * @param  String  symbol
+ */
+DotReporter.prototype.progress = function progress(symbol) {
+    "use strict";
+    this.dots += symbol;
+    if (this.dots.length >= this.tester.options.pad) {
+        this.flush();
+    }
+};
+
+DotReporter.prototype.render = function render(testResults) {
+    "use strict";
+    this.flush();
+    DotReporter.super_.prototype.render.call(this, testResults);
+};
+
+DotReporter.prototype.suite = function suite(testFile) {
+    "use strict";
+};
+
+/**
+ * JSON reporter: writes the whole tests results as a JSON document once the
+ * tests are complete.
+ *
+ */
+var JsonReporter = function JsonReporter() {
+    "use strict";
+    JsonReporter.super_.apply(this, arguments);
+};
+utils.inherits(JsonReporter, Reporter);
+exports.JsonReporter = JsonReporter;
+
+JsonReporter.prototype.comment = function comment(message) {
+    "use strict";
+};
+
+JsonReporter.prototype.render = function render(testResults) {
+    "use strict";
+    this.write(utils.serialize({
+        passed:       testResults.passed,
+        failed:       testResults.failed,
+        skipped:      testResults.skipped,
+        passes:       testResults.passes.map(exportResult),
+        failures:     testResults.failures.map(exportResult),
+        skips:        testResults.skips.map(exportResult),
+        skippedFiles: testResults.skippedFiles
+    }, 2));
+};
+
+/**
+ * TAP reporter: writes results using the Test Anything Protocol.
+ *
+ * @see http://testanything.org/
+ */
+var TapReporter = function TapReporter() {
+    "use strict";
+    TapReporter.super_.apply(this, arguments);
+    this.count = 0;
+};
+utils.inherits(TapReporter, Reporter);
+exports.TapReporter = TapReporter;
+
+TapReporter.prototype.comment = function comment(message) {
+    "use strict";
+    this.write('# ' + message);
+};
+
+TapReporter.prototype.onFail = function onFail(failure) {
+    "use strict";
+    var result = exportResult(failure);
+    this.write(f('not ok %d - %s', ++this.count, result.message));
+    this.write('  ---');
+    ['type', 'file', 'line'].forEach(function _forEach(name) {
+        this.write(f('  %s: %s', name, result[name]));
+    }, this);
+    if (result.values) {
+        this.write('  values:');
+        Object.keys(result.values).forEach(function _forEach(name) {
+            this.write(f('    %s: %s', name, utils.serialize(result.values[name])));
+        }, this);
+    }
+    this.write('  ...');
+};
+
+TapReporter.prototype.onSkip = function onSkip(skipped) {
+    "use strict";
+    this.write(f('ok %d # SKIP %s', ++this.count, skipped.message));
+};
+
+TapReporter.prototype.onSuccess = function onSuccess(success) {
+    "use strict";
+    this.write(f('ok %d - %s', ++this.count, success.message || success.standard));
+};
+
+TapReporter.prototype.render = function render(testResults) {
+    "use strict";
+    if (testResults.skippedFiles.length > 0) {
+        this.write(f('Bail out! %d failures, %d test files skipped', testResults.failed, testResults.skippedFiles.length));
+    }
+    this.write(f('1..%d', this.count));
+    this.write(f('# tests %d', this.count));
+    this.write(f('# pass  %d', testResults.passed));
+    this.write(f('# fail  %d', testResults.failed));
+    if (testResults.skipped > 0) {
+        this.write(f('# skip  %d', testResults.skipped));
+    }
+};
+
+TapReporter.prototype.suite = function suite(testFile) {
+    "use strict";
+    this.comment(f('Test file: %s', testFile));
+};
+
+var builtins = {
+    console: ConsoleReporter,
+    dot:     DotReporter,
+    json:    JsonReporter,
+    tap:     TapReporter
+};
+
+/**
+ * Exports a test result object as a plain serializable object.
+ *
+ * @param  Object  result  An assertion result or skipped test object
+ * @return Object
+ */
+function exportResult(result) {
+    "use strict";
+    var exported = {
+        type:    result.type || "unknown",
+        message: result.message || result.standard || "(no message was entered)",
+        file:    result.file,
+        line:    result.line || "unknown",
+        time:    result.time
+    };
+    if (result.standard) {
+        exported.standard = result.standard;
+    }
+    if (result.testCase) {
+        exported.testCase = result.testCase;
+    }
+    if (utils.isObject(result.values)) {
+        exported.values = {};
+        Object.keys(result.values).forEach(function _forEach(name) {
+            var value = result.values[name];
+            if (value instanceof Error) {
+                value = value.toString();
+            }
+            try {
+                utils.serialize(value);
+                exported.values[name] = value;
+            } catch (e) {
+                exported.values[name] = String(value);
+            }
+        });
+    }
+    return exported;
+}
+exports.exportResult = exportResult;
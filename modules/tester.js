@@ -28,7 +28,7 @@
  *
  */
 
-/*global CasperError exports phantom require*/
+/*global CasperError exports phantom require window*/
 
 var fs = require('fs');
 var events = require('events');
@@ -53,23 +53,54 @@ var Tester = function Tester(casper, options) {
         throw new CasperError("Tester needs a Casper instance");
     }
 
+    this.aborted = false;
+    this.casper = casper;
+    this.currentSuite = null;
     this.currentTestFile = null;
+    this.currentTimeout = null;
     this.exporter = require('xunit').create();
+    this.hooks = {
+        setUp:    [],
+        tearDown: []
+    };
     this.includes = [];
+    this.lastAssertTime = 0;
+    this.queue = [];
+    this.reporter = null;
     this.running = false;
+    this.snapshot = null;
     this.suites = [];
+    this.testLogs = [];
+    this.testStartTime = 0;
     this.options = utils.mergeObjects({
-        failText: "FAIL", // text to use for a successful test
-        passText: "PASS", // text to use for a failed test
-        pad:      80      // maximum number of chars for a result line
-    }, options);
+        failText:        "FAIL",      // text to use for a successful test
+        passText:        "PASS",      // text to use for a failed test
+        pad:             80,          // maximum number of chars for a result line
+        baselineDir:     "baselines", // screenshot baselines directory
+        exclude:         [],          // glob patterns of test file paths to exclude
+        failFast:        false,       // stop running tests after the first failure
+        fileTimeout:     null,        // maximum running time of a test file not using begin(), in milliseconds
+        grep:            null,        // pattern test case descriptions must match
+        list:            false,       // list matching tests instead of running them
+        maxFailures:     0,           // stop running tests after this number of failures, if > 0
+        reporter:        "console",   // results reporter name or module path
+        shard:           null,        // {index, total}: only run every total-th test file from index
+        tags:            [],          // test file tags to select, prefix with ! to exclude
+        timeout:         30000,       // maximum running time of a test case, in milliseconds
+        updateBaselines: false        // overwrite existing screenshot baselines
+    }, phantom.casperConfig ? phantom.casperConfig.get('test') : {}); // project configuration file values
+    this.options = utils.mergeObjects(this.options, options);
 
     // properties
     this.testResults = {
         passed: 0,
         failed: 0,
+        skipped: 0,
         passes: [],
-        failures: []
+        failures: [],
+        skips: [],
+        skippedFiles: [],
+        suites: []
     };
 
     // events
@@ -87,40 +118,27 @@ var Tester = function Tester(casper, options) {
         this.test.done();
     });
 
+    var self = this;
+    casper.on('log', function onLog(entry) {
+        if (self.running) {
+            self.testLogs.push(f('[%s] [%s] %s', entry.level, entry.space, entry.message));
+        }
+    });
+
     this.on('success', function onSuccess(success) {
         this.testResults.passes.push(success);
-        this.exporter.addSuccess(fs.absolute(success.file), success.message || success.standard);
+        exportToXUnit(this.exporter, 'success', success);
     });
 
     this.on('fail', function onFail(failure) {
-        // export
-        this.exporter.addFailure(
-            fs.absolute(failure.file),
-            failure.message  || failure.standard,
-            failure.standard || "test failed",
-            failure.type     || "unknown"
-        );
         this.testResults.failures.push(failure);
-        // special printing
-        if (failure.type) {
-            this.comment('   type: ' + failure.type);
-        }
-        if (failure.values && Object.keys(failure.values).length > 0) {
-            for (var name in failure.values) {
-                var comment = '   ' + name + ': ';
-                var value = failure.values[name];
-                try {
-                    comment += utils.serialize(failure.values[name]);
-                } catch (e) {
-                    try {
-                        comment += utils.serialize(failure.values[name].toString());
-                    } catch (e) {
-                        comment += '(unserializable value)';
-                    }
-                }
-                this.comment(comment);
-            }
-        }
+        exportToXUnit(this.exporter, 'fail', failure);
+        this.checkMaxFailures();
+    });
+
+    this.on('skipped', function onSkipped(skipped) {
+        this.testResults.skips.push(skipped);
+        exportToXUnit(this.exporter, 'skipped', skipped);
     });
 
     // methods
@@ -366,6 +384,72 @@ var Tester = function Tester(casper, options) {
         });
     };
 
+    /**
+     * Asserts that a screenshot of the current page, or of an area of it,
+     * matches a baseline image previously stored in the baselines directory.
+     * The baseline is created when it doesn't exist yet, or updated when the
+     * `updateBaselines` option is set. On failure, an image highlighting the
+     * differing pixels in red is written next to the baseline.
+     *
+     * As images are compared asynchronously, this method must be called from
+     * within a navigation step, and doesn't return an assertion result.
+     *
+     * Available options are:
+     *
+     * - String  directory:  Baselines directory (defaults to the `baselineDir` option)
+     * - Number  threshold:  Per channel color difference ignored, from 0 to 255
+     * - Number  tolerance:  Percentage of differing pixels tolerated
+     * - String  message:    Test description
+     *
+     * @param  String         name     Screenshot name, used as baseline file name
+     * @param  String|Object  area     A selector or clipRect object (optional)
+     * @param  Object         options  Comparison options (optional)
+     */
+    this.assertScreenshotMatches = function assertScreenshotMatches(name, area, options) {
+        var self = this, clipRect, baseline, diffFile, diff;
+        if (!utils.isString(name) || name.length === 0) {
+            throw new CasperError("assertScreenshotMatches() needs a screenshot name");
+        }
+        options = utils.mergeObjects({
+            directory: this.options.baselineDir,
+            threshold: 0,
+            tolerance: 0
+        }, options || {});
+        baseline = fs.absolute(fs.pathJoin(options.directory, name + '.png'));
+        diffFile = fs.absolute(fs.pathJoin(options.directory, name + '.diff.png'));
+        clipRect = utils.isValidSelector(area) ? casper.getElementBounds(area) : area;
+        if (this.options.updateBaselines || !fs.isFile(baseline)) {
+            var exists = fs.isFile(baseline);
+            fs.makeTree(fs.dirname(baseline));
+            casper.capture(baseline, clipRect);
+            return this.pass(f('Screenshot baseline "%s" %s', name, exists ? "updated" : "created"));
+        }
+        diff = require('imagediff').create().load(readBase64(baseline), casper.captureBase64('png', clipRect));
+        casper.waitFor(function _check() {
+            return diff.isReady();
+        }, function _then() {
+            var result = diff.compare(options.threshold);
+            var ratio = result.total > 0 ? 100 * result.mismatch / result.total : 100;
+            var success = !result.sizeMismatch && ratio <= options.tolerance;
+            if (!success && diff.render(diffFile)) {
+                casper.log(f("Screenshot diff image saved to %s", diffFile), "info");
+            }
+            diff.close();
+            self.assert(success, options.message, {
+                type: "assertScreenshotMatches",
+                standard: f('Screenshot matches baseline "%s"', name),
+                values: {
+                    baseline:  baseline,
+                    mismatch:  result.sizeMismatch ? "image sizes differ" : ratio.toFixed(2) + '%',
+                    tolerance: options.tolerance + '%'
+                }
+            });
+        }, function _onTimeout() {
+            diff.close();
+            self.fail(f('Unable to compare screenshot "%s" with its baseline', name));
+        });
+    };
+
     /**
      * Asserts that given text exits in the document body.
      *
@@ -465,6 +549,79 @@ var Tester = function Tester(casper, options) {
         });
     };
 
+    /**
+     * Starts a new test case, which is an isolated set of assertions sharing
+     * a common description. If another test case is still running, the new
+     * one is queued and started as soon as the current one is done.
+     *
+     * The suite function receives the tester instance and the casper one
+     * as arguments, and must call `done()` when it's finished; a test case
+     * which doesn't finish within the `timeout` option delay is failed.
+     *
+     * An object having `setUp`, `tearDown` and `test` function properties
+     * can be passed instead of the suite function; `setUp` is then called
+     * before `test`, `tearDown` once the test case is done, all of them
+     * using the object as `this`.
+     *
+     * @param  String           description  Test case description
+     * @param  Number           planned      Number of planned assertions (optional)
+     * @param  Function|Object  suite        Test case function or object
+     */
+    this.begin = function begin(description, planned, suite) {
+        if (utils.isFunction(planned) || utils.isObject(planned)) {
+            suite = planned;
+            planned = undefined;
+        }
+        if (!utils.isString(description) || description.length === 0) {
+            throw new CasperError("begin() needs a test case description");
+        }
+        if (!utils.isFunction(suite) && !(utils.isObject(suite) && utils.isFunction(suite.test))) {
+            throw new CasperError("begin() needs a test case function");
+        }
+        if (this.currentSuite) {
+            this.queue.push([description, planned, suite]);
+            return;
+        }
+        if (this.aborted || !this.matchesGrep(description)) {
+            if (!this.aborted) {
+                this.emit('test.filtered', description);
+            }
+            if (this.queue.length > 0) {
+                this.begin.apply(this, this.queue.shift());
+            } else {
+                this.running = false;
+            }
+            return;
+        }
+        this.comment(description);
+        this.currentSuite = {
+            description: description,
+            planned:     ~~planned || undefined,
+            executed:    0,
+            file:        this.currentTestFile,
+            startTime:   new Date(),
+            context:     utils.isFunction(suite) ? null : suite,
+            tearDown:    utils.isFunction(suite) ? null : suite.tearDown
+        };
+        this.running = true;
+        this.lastAssertTime = new Date().getTime();
+        this.startTimeout(f('Test case "%s"', description), this.options.timeout);
+        var test = createSuiteTester(this, this.currentSuite);
+        try {
+            if (utils.isFunction(suite)) {
+                suite.call(test, test, casper);
+            } else {
+                if (utils.isFunction(suite.setUp)) {
+                    suite.setUp.call(suite, test, casper);
+                }
+                suite.test.call(suite, test, casper);
+            }
+        } catch (e) {
+            this.uncaughtError(e, this.currentTestFile, e.line);
+            this.done();
+        }
+    };
+
     /**
      * Prints out a colored bar onto the console.
      *
@@ -473,6 +630,26 @@ var Tester = function Tester(casper, options) {
         casper.echo(text, style, this.options.pad);
     };
 
+    /**
+     * Stops running tests once the maximum number of failures, as set by the
+     * `failFast` and `maxFailures` options, has been reached: the current
+     * navigation steps are aborted, queued test cases are discarded and the
+     * remaining test files are skipped.
+     *
+     * @return Boolean  Whether tests have been stopped
+     */
+    this.checkMaxFailures = function checkMaxFailures() {
+        var maxFailures = this.options.failFast ? 1 : ~~this.options.maxFailures;
+        if (this.aborted || maxFailures <= 0 || this.testResults.failed < maxFailures) {
+            return false;
+        }
+        this.aborted = true;
+        this.queue = [];
+        this.emit('tests.aborted', this.testResults.failed);
+        casper.abort(f("%d failure%s reached", this.testResults.failed, this.testResults.failed > 1 ? "s" : ""));
+        return true;
+    };
+
     /**
      * Render a colorized output. Basically a proxy method for
      * Casper.Colorizer#colorize()
@@ -487,18 +664,101 @@ var Tester = function Tester(casper, options) {
      * @param  String  message
      */
     this.comment = function comment(message) {
-        casper.echo('# ' + message, 'COMMENT');
+        this.reporter.comment(message);
     };
 
     /**
-     * Declares the current test suite done.
+     * Declares the current test case or test file done. If a planned number
+     * of assertions was declared, either here or in `begin()`, the number of
+     * executed ones is checked against it.
      *
+     * @param  Number  planned  Number of planned assertions (optional)
      */
-    this.done = function done() {
+    this.done = function done(planned) {
+        var suite = this.currentSuite;
+        clearTimeout(this.currentTimeout);
+        this.currentTimeout = null;
+        if (suite) {
+            planned = ~~planned || suite.planned;
+            if (planned && planned !== suite.executed) {
+                this.dubious(planned, suite.executed, suite.description);
+            }
+            this.currentSuite = null;
+            if (utils.isFunction(suite.tearDown)) {
+                try {
+                    suite.tearDown.call(suite.context, this, casper);
+                } catch (e) {
+                    this.uncaughtError(e, suite.file, e.line);
+                }
+            }
+        }
         this.emit('test.done');
+        if (this.queue.length > 0) {
+            this.begin.apply(this, this.queue.shift());
+            return;
+        }
         this.running = false;
     };
 
+    /**
+     * Records a failure for a test case which didn't execute the number of
+     * assertions it planned.
+     *
+     * @param  Number  planned      Number of planned assertions
+     * @param  Number  executed     Number of executed assertions
+     * @param  String  description  Test case description
+     * @return Object               An assertion result object
+     */
+    this.dubious = function dubious(planned, executed, description) {
+        return this.assert(false, f('%s: %d tests planned, %d tests executed', description, planned, executed), {
+            type:     "dubious",
+            standard: "Number of executed tests does not match the planned one",
+            values:   {
+                planned:  planned,
+                executed: executed
+            }
+        });
+    };
+
+    /**
+     * Starts a test case per row of a dataset, which can be an array or the
+     * path to a JSON or CSV file; CSV files must have a header line, their
+     * rows being converted to objects keyed by column names. Relative paths
+     * not found from the working directory are resolved against the current
+     * test file directory.
+     *
+     * The description may reference row values using `{key}` placeholders,
+     * and the row index using `{index}`; it's suffixed with the row number
+     * otherwise. The suite function receives the tester instance, the row
+     * and its index as arguments, and must call `done()` when it's finished.
+     *
+     * @param  Array|String  dataset      Dataset rows, or path to a dataset file
+     * @param  String        description  Test case description template
+     * @param  Number        planned      Number of planned assertions per row (optional)
+     * @param  Function      suite        Test case function
+     */
+    this.each = function each(dataset, description, planned, suite) {
+        if (utils.isFunction(planned)) {
+            suite = planned;
+            planned = undefined;
+        }
+        if (!utils.isFunction(suite)) {
+            throw new CasperError("each() needs a test case function");
+        }
+        if (utils.isString(dataset)) {
+            dataset = loadDataset(dataset, this.currentTestFile);
+        }
+        if (!utils.isArray(dataset)) {
+            throw new CasperError("each() needs an array dataset or the path to a JSON or CSV file");
+        }
+        dataset.forEach(function _forEach(row, index) {
+            this.begin(formatRowDescription(description, row, index), planned, function _suite(test) {
+                test.currentSuite.dataRow = row;
+                suite.call(this, test, row, index);
+            });
+        }, this);
+    };
+
     /**
      * Writes an error-style formatted message to stdout.
      *
@@ -562,6 +822,60 @@ var Tester = function Tester(casper, options) {
         }).sort();
     };
 
+    /**
+     * Filters test files according to the `exclude` and `tags` options.
+     * Exclusion glob patterns are matched against test file paths, either
+     * relative to the working directory or absolute, and file names.
+     *
+     * Tags are declared in test files using `@tags` comments, eg.
+     * `// @tags smoke, login`. When tags are selected, only files having at
+     * least one of them are retained; files having a tag prefixed with `!`
+     * are always filtered out.
+     *
+     * @param  Array  testFiles  Test file paths
+     * @return Array
+     */
+    this.filterTestFiles = function filterTestFiles(testFiles) {
+        var excludes = [].concat(this.options.exclude || []).map(function _map(glob) {
+            return utils.betterTypeOf(glob) === "regexp" ? glob : utils.globToRegExp(glob);
+        });
+        var tags = [].concat(this.options.tags || []);
+        var wanted = tags.filter(function _filter(tag) {
+            return tag.charAt(0) !== '!';
+        });
+        var unwanted = tags.filter(function _filter(tag) {
+            return tag.charAt(0) === '!';
+        }).map(function _map(tag) {
+            return tag.substr(1);
+        });
+        return testFiles.filter(function _filter(testFile) {
+            var absolute = fs.absolute(testFile);
+            var paths = [testFile, absolute, absolute.split('/').pop()];
+            if (absolute.indexOf(fs.workingDirectory + '/') === 0) {
+                paths.push(absolute.substr(fs.workingDirectory.length + 1));
+            }
+            if (excludes.some(function _some(regexp) {
+                return paths.some(function _some(path) {
+                    return regexp.test(path);
+                });
+            })) {
+                return false;
+            }
+            if (wanted.length === 0 && unwanted.length === 0) {
+                return true;
+            }
+            var fileTags = this.getFileTags(testFile);
+            if (fileTags.some(function _some(tag) {
+                return unwanted.indexOf(tag) > -1;
+            })) {
+                return false;
+            }
+            return wanted.length === 0 || fileTags.some(function _some(tag) {
+                return wanted.indexOf(tag) > -1;
+            });
+        }, this);
+    };
+
     /**
      * Formats a message to highlight some parts of it.
      *
@@ -604,6 +918,24 @@ var Tester = function Tester(casper, options) {
         };
     };
 
+    /**
+     * Retrieves the tags declared in a test file using `@tags` comments, eg.
+     * `// @tags smoke` or ` * @tags smoke` in a block comment.
+     *
+     * @param  String  testFile  Test file path
+     * @return Array
+     */
+    this.getFileTags = function getFileTags(testFile) {
+        var tags = [], regexp = /^[ \t]*(?:\/\/|\/?\*+)[ \t]*@tags?[ \t]+([^\n\*]+)/gm, match;
+        var content = fs.read(testFile);
+        while ((match = regexp.exec(content)) !== null) {
+            tags = tags.concat(match[1].trim().split(/[\s,]+/));
+        }
+        return utils.unique(tags.filter(function _filter(tag) {
+            return tag.length > 0;
+        }));
+    };
+
     /**
      * Writes an info-style formatted message to stdout.
      *
@@ -613,6 +945,104 @@ var Tester = function Tester(casper, options) {
         casper.echo(message, 'PARAMETER');
     };
 
+    /**
+     * Prints out test files along with their tags and the descriptions of
+     * the test cases they declare, as found in `begin()` calls and `each()`
+     * ones using a file path or a variable as dataset, without running them.
+     * Test case descriptions are filtered using the `grep` option.
+     *
+     * @param  Array  testFiles  Test file paths
+     */
+    this.listTests = function listTests(testFiles) {
+        var regexps = [
+            /\.begin\(\s*(['"])((?:\\.|(?!\1).)*)\1/g,
+            /\.each\(\s*(?:(['"])[^'"\n]*\1|[\w\.\$]+)\s*,\s*(['"])((?:\\.|(?!\2).)*)\2/g
+        ];
+        testFiles.forEach(function _forEach(testFile) {
+            var content = fs.read(testFile), descriptions = [];
+            var tags = this.getFileTags(testFile);
+            casper.echo(testFile + (tags.length > 0 ? f(' [%s]', tags.join(', ')) : ''), 'PARAMETER');
+            regexps.forEach(function _forEach(regexp) {
+                var match;
+                while ((match = regexp.exec(content)) !== null) {
+                    descriptions.push({index: match.index, description: match[match.length - 1]});
+                }
+            });
+            descriptions.sort(function _sort(a, b) {
+                return a.index - b.index;
+            }).map(function _map(found) {
+                return found.description;
+            }).filter(function _filter(description) {
+                return this.matchesGrep(description);
+            }, this).forEach(function _forEach(description) {
+                casper.echo('    ' + description);
+            });
+        }, this);
+        casper.echo(f('%d test file%s found.', testFiles.length, testFiles.length > 1 ? 's' : ''), 'INFO');
+    };
+
+    /**
+     * Loads test results saved by another Tester instance using
+     * `saveResults()`, eg. by a parallel test worker, and merges them into
+     * the current results and xUnit export. Loaded results are passed to the
+     * current reporter, as if the tests had run in this instance.
+     *
+     * @param  String  file  Path to the JSON results file
+     */
+    this.loadResults = function loadResults(file) {
+        var results;
+        try {
+            results = JSON.parse(fs.read(file));
+        } catch (e) {
+            throw new CasperError(f("Unable to load test results from %s: %s", file, e));
+        }
+        (results.passes || []).forEach(function _forEach(success) {
+            this.testResults.passed++;
+            this.testResults.passes.push(success);
+            exportToXUnit(this.exporter, 'success', success);
+            this.reporter.onSuccess(success);
+        }, this);
+        (results.failures || []).forEach(function _forEach(failure) {
+            this.testResults.failed++;
+            this.testResults.failures.push(failure);
+            exportToXUnit(this.exporter, 'fail', failure);
+            this.reporter.onFail(failure);
+        }, this);
+        (results.skips || []).forEach(function _forEach(skipped) {
+            this.testResults.skipped++;
+            this.testResults.skips.push(skipped);
+            exportToXUnit(this.exporter, 'skipped', skipped);
+            this.reporter.onSkip(skipped);
+        }, this);
+        (results.suites || []).forEach(function _forEach(suite) {
+            this.testResults.suites.push(suite);
+            this.exporter.setSuiteDuration(suite.file, suite.duration);
+            this.exporter.setSuiteOutput(suite.file, suite.output);
+        }, this);
+        this.skipFiles(results.skippedFiles || []);
+    };
+
+    /**
+     * Checks if a test case description matches the `grep` option, if any.
+     *
+     * @param  String  description  Test case description
+     * @return Boolean
+     */
+    this.matchesGrep = function matchesGrep(description) {
+        var grep = this.options.grep;
+        if (!grep) {
+            return true;
+        }
+        if (utils.betterTypeOf(grep) !== "regexp") {
+            try {
+                grep = new RegExp(grep);
+            } catch (e) {
+                throw new CasperError(f("Invalid grep pattern %s: %s", grep, e));
+            }
+        }
+        return grep.test(description);
+    };
+
     /**
      * Adds a successful test entry to the stack.
      *
@@ -626,27 +1056,32 @@ var Tester = function Tester(casper, options) {
     };
 
     /**
-     * Processes an assertion result by emitting the appropriate event and
-     * printing result onto the console.
+     * Processes an assertion result by emitting the appropriate event, which
+     * the current reporter will print out.
      *
      * @param  Object  result  An assertion result object
      * @return Object  The passed assertion result Object
      */
     this.processAssertionResult = function processAssertionResult(result) {
-        var eventName, style, status;
+        var eventName;
         if (result.success === true) {
             eventName = 'success';
-            style = 'INFO';
-            status = this.options.passText;
             this.testResults.passed++;
         } else {
             eventName = 'fail';
-            style = 'RED_BAR';
-            status = this.options.failText;
             this.testResults.failed++;
         }
-        var message = result.message || result.standard;
-        casper.echo([this.colorize(status, style), this.formatMessage(message)].join(' '));
+        if (this.currentSuite) {
+            this.currentSuite.executed++;
+            if ('dataRow' in this.currentSuite) {
+                result.testCase = this.currentSuite.description;
+            }
+        }
+        if (!utils.isNumber(result.time)) {
+            var now = new Date().getTime();
+            result.time = this.lastAssertTime ? now - this.lastAssertTime : 0;
+            this.lastAssertTime = now;
+        }
         this.emit(eventName, result);
         return result;
     };
@@ -678,27 +1113,8 @@ var Tester = function Tester(casper, options) {
      */
     this.renderResults = function renderResults(exit, status, save) {
         save = utils.isString(save) ? save : this.options.save;
-        var total = this.testResults.passed + this.testResults.failed, statusText, style, result;
         var exitStatus = ~~(status || (this.testResults.failed > 0 ? 1 : 0));
-        if (total === 0) {
-            statusText = this.options.failText;
-            style = 'RED_BAR';
-            result = f("%s Looks like you didn't run any test.", statusText);
-        } else {
-            if (this.testResults.failed > 0) {
-                statusText = this.options.failText;
-                style = 'RED_BAR';
-            } else {
-                statusText = this.options.passText;
-                style = 'GREEN_BAR';
-            }
-            result = f('%s %s tests executed, %d passed, %d failed.',
-                       statusText, total, this.testResults.passed, this.testResults.failed);
-        }
-        casper.echo(result, style, this.options.pad);
-        if (this.testResults.failed > 0) {
-            this.renderFailureDetails(this.testResults.failures);
-        }
+        this.reporter.render(this.testResults);
         if (save && utils.isFunction(require)) {
             try {
                 fs.write(save, this.exporter.getXML(), 'w');
@@ -734,15 +1150,30 @@ var Tester = function Tester(casper, options) {
                 testFiles.push(path);
             }
         });
-        if (testFiles.length === 0) {
+        testFiles = this.filterTestFiles(testFiles);
+        if (utils.isObject(this.options.shard)) {
+            testFiles = this.shardTestFiles(testFiles, this.options.shard.index, this.options.shard.total);
+        } else if (testFiles.length === 0) {
             this.bar(f("No test file found in %s, aborting.", Array.prototype.slice.call(arguments)), "RED_BAR");
             casper.exit(1);
         }
+        if (this.options.list) {
+            this.listTests(testFiles);
+            casper.exit(0);
+            return;
+        }
         var current = 0;
         var interval = setInterval(function _check(self) {
             if (self.running) {
                 return;
             }
+            if (current > 0) {
+                self.terminate(testFiles[current - 1]);
+            }
+            if (self.aborted && current < testFiles.length) {
+                self.skipFiles(testFiles.slice(current));
+                current = testFiles.length;
+            }
             if (current === testFiles.length) {
                 self.emit('tests.complete');
                 clearInterval(interval);
@@ -758,11 +1189,209 @@ var Tester = function Tester(casper, options) {
      *
      */
     this.runTest = function runTest(testFile) {
-        this.bar(f('Test file: %s', testFile), 'INFO_BAR');
+        this.reporter.suite(testFile);
         this.running = true; // this.running is set back to false with done()
+        this.lastAssertTime = this.testStartTime = new Date().getTime();
+        this.testLogs = [];
+        this.snapshot = {
+            casper: snapshotListeners(casper),
+            tester: snapshotListeners(this)
+        };
+        this.startTimeout(f('Test file %s', testFile), this.options.fileTimeout);
+        this.runHooks('setUp', testFile);
         this.exec(testFile);
     };
 
+    /**
+     * Calls all the registered suite-level hooks of a given kind.
+     *
+     * @param  String  kind      Either `setUp` or `tearDown`
+     * @param  String  testFile  The test file the hooks are run for
+     */
+    this.runHooks = function runHooks(kind, testFile) {
+        this.hooks[kind].forEach(function _forEach(hook) {
+            try {
+                hook.call(this, this, casper);
+            } catch (e) {
+                this.uncaughtError(e, testFile, e.line);
+            }
+        }, this);
+    };
+
+    /**
+     * Sets the reporter used to print out test results, replacing the
+     * current one.
+     *
+     * @param  String|Reporter  reporter  A reporter name, module path or instance
+     * @param  Object           options   Reporter options (optional)
+     * @return Reporter
+     */
+    this.setReporter = function setReporter(reporter, options) {
+        if (!utils.isObject(reporter)) {
+            reporter = require('reporter').create(reporter, this, options);
+        }
+        if (this.reporter) {
+            this.reporter.detach();
+        }
+        this.reporter = reporter.attach();
+        return this.reporter;
+    };
+
+    /**
+     * Registers a suite-level hook to run before each test file. Hooks are
+     * best registered from files passed using the `--includes` option.
+     *
+     * @param  Function  fn  The hook, receiving the tester and casper instances
+     */
+    this.setUp = function setUp(fn) {
+        if (!utils.isFunction(fn)) {
+            throw new CasperError("setUp() needs a function");
+        }
+        this.hooks.setUp.push(fn);
+    };
+
+    /**
+     * Skips a given number of planned tests, eg. because the environment
+     * doesn't support the tested feature. Skipped tests count as executed
+     * ones for the current test case planned assertions.
+     *
+     * @param  Number  nb       Number of tests to skip
+     * @param  String  message  Reason for skipping (optional)
+     */
+    this.skip = function skip(nb, message) {
+        nb = ~~nb || 1;
+        for (var i = 0; i < nb; i++) {
+            var skipped = {
+                type:    "skip",
+                message: message || "skipped",
+                file:    this.currentTestFile
+            };
+            this.testResults.skipped++;
+            if (this.currentSuite) {
+                this.currentSuite.executed++;
+            }
+            this.emit('skipped', skipped);
+        }
+    };
+
+    /**
+     * Saves the test results to a JSON file, which can be merged into the
+     * results of another Tester instance using `loadResults()`.
+     *
+     * @param  String  file  Path to the JSON results file
+     */
+    this.saveResults = function saveResults(file) {
+        var results = this.testResults, exportResult = require('reporter').exportResult;
+        try {
+            fs.write(file, utils.serialize({
+                passes:       results.passes.map(exportResult),
+                failures:     results.failures.map(exportResult),
+                skips:        results.skips.map(exportResult),
+                skippedFiles: results.skippedFiles,
+                suites:       results.suites
+            }), 'w');
+        } catch (e) {
+            throw new CasperError(f("Unable to save test results to %s: %s", file, e));
+        }
+    };
+
+    /**
+     * Retrieves the share of test files to run for a given shard, each shard
+     * getting every `total`-th test file starting from its index.
+     *
+     * @param  Array   testFiles  Test file paths
+     * @param  Number  index      Shard index, from 0
+     * @param  Number  total      Total number of shards
+     * @return Array
+     */
+    this.shardTestFiles = function shardTestFiles(testFiles, index, total) {
+        index = ~~index;
+        total = ~~total;
+        if (total < 1 || index < 0 || index >= total) {
+            throw new CasperError(f("Invalid test shard %d/%d", index, total));
+        }
+        return testFiles.filter(function _filter(testFile, fileIndex) {
+            return fileIndex % total === index;
+        });
+    };
+
+    /**
+     * Records test files which won't be run because tests have been stopped.
+     *
+     * @param  Array  testFiles  Skipped test file paths
+     */
+    this.skipFiles = function skipFiles(testFiles) {
+        var message = f("Skipped after %d failure%s", this.testResults.failed, this.testResults.failed > 1 ? "s" : "");
+        testFiles.forEach(function _forEach(testFile) {
+            this.testResults.skippedFiles.push(testFile);
+            this.exporter.addSkip(fs.absolute(testFile), "test file skipped", message);
+        }, this);
+    };
+
+    /**
+     * (Re)starts the timer failing the running test case or test file when it
+     * doesn't call `done()` within a delay. The navigation steps of a timed
+     * out test are discarded, so that its run callback can't call `done()`
+     * once the next test is running.
+     *
+     * @param  String  label    Timed out test designation
+     * @param  Number  timeout  Delay in milliseconds, no timeout if not > 0
+     */
+    this.startTimeout = function startTimeout(label, timeout) {
+        clearTimeout(this.currentTimeout);
+        if (!utils.isNumber(timeout) || timeout <= 0) {
+            return;
+        }
+        this.currentTimeout = setTimeout(function _timeout(self) {
+            self.currentTimeout = null;
+            self.assert(false, f('%s timed out after %dms', label, timeout), {
+                type:     "timeout",
+                standard: "Test did not finish in time; did you forget to call done()?"
+            });
+            casper.clearSteps(f('%s timed out', label));
+            self.done();
+        }, timeout, this);
+    };
+
+    /**
+     * Registers a suite-level hook to run after each test file.
+     *
+     * @param  Function  fn  The hook, receiving the tester and casper instances
+     */
+    this.tearDown = function tearDown(fn) {
+        if (!utils.isFunction(fn)) {
+            throw new CasperError("tearDown() needs a function");
+        }
+        this.hooks.tearDown.push(fn);
+    };
+
+    /**
+     * Terminates a test file run: suite-level `tearDown` hooks are called,
+     * the casper instance state is reset and the event listeners and filters
+     * added while running the file are removed, so test files can't leak
+     * state to each other.
+     *
+     * @param  String  testFile  The test file which has been run
+     */
+    this.terminate = function terminate(testFile) {
+        var suite = {
+            file:     fs.absolute(testFile),
+            duration: new Date().getTime() - this.testStartTime,
+            output:   this.testLogs.join('\n')
+        };
+        this.runHooks('tearDown', testFile);
+        this.testResults.suites.push(suite);
+        this.exporter.setSuiteDuration(suite.file, suite.duration);
+        this.exporter.setSuiteOutput(suite.file, suite.output);
+        this.testLogs = [];
+        casper.reset();
+        if (this.snapshot) {
+            restoreListeners(casper, this.snapshot.casper);
+            restoreListeners(this, this.snapshot.tester);
+            this.snapshot = null;
+        }
+    };
+
     /**
      * Tests equality between the two passed arguments.
      *
@@ -811,8 +1440,249 @@ var Tester = function Tester(casper, options) {
             }
         });
     };
+
+    this.setReporter(this.options.reporter);
 };
 
+/**
+ * Adds a test result to an xUnit exporter.
+ *
+ * @param  XUnitExporter  exporter  The exporter
+ * @param  String         type      Result type: success, fail or skipped
+ * @param  Object         result    The result
+ */
+function exportToXUnit(exporter, type, result) {
+    "use strict";
+    var classname = fs.absolute(result.file);
+    if (type === 'success') {
+        exporter.addSuccess(classname, getExportName(result), result.time);
+    } else if (type === 'fail') {
+        exporter[result.type === "uncaughtError" ? 'addError' : 'addFailure'](
+            classname,
+            getExportName(result),
+            result.standard || "test failed",
+            result.type     || "unknown",
+            result.time
+        );
+    } else {
+        exporter.addSkip(classname, getExportName(result));
+    }
+}
+
+/**
+ * Formats a data-driven test case description, replacing `{key}`
+ * placeholders with row values.
+ *
+ * @param  String  description  Description template
+ * @param  Mixed   row          Dataset row
+ * @param  Number  index        Row index
+ * @return String
+ */
+function formatRowDescription(description, row, index) {
+    "use strict";
+    var replaced = false;
+    description = String(description).replace(/\{(\w+)\}/g, function _replace(match, key) {
+        var value = key === "index" ? index : (row !== null && typeof row === "object" ? row[key] : undefined);
+        if (value === undefined) {
+            return match;
+        }
+        replaced = true;
+        return utils.isObject(value) || utils.isArray(value) ? JSON.stringify(value) : String(value);
+    });
+    return replaced ? description : f("%s #%d", description, index + 1);
+}
+
+/**
+ * Retrieves the name of a result in xUnit output; results of data-driven
+ * test cases are prefixed with the test case description.
+ *
+ * @param  Object  result  An assertion or skip result
+ * @return String
+ */
+function getExportName(result) {
+    "use strict";
+    var name = result.message || result.standard;
+    return result.testCase ? f("%s: %s", result.testCase, name) : name;
+}
+
+/**
+ * Loads a dataset from a JSON or CSV file.
+ *
+ * @param  String  file      Path to the dataset file
+ * @param  String  testFile  Path to the current test file
+ * @return Array
+ */
+function loadDataset(file, testFile) {
+    "use strict";
+    if (!fs.exists(file) && testFile && !/^\//.test(file)) {
+        file = fs.pathJoin(fs.dirname(fs.absolute(testFile)), file);
+    }
+    if (!fs.isFile(file)) {
+        throw new CasperError(f("Dataset file %s not found", file));
+    }
+    var content = fs.read(file), dataset;
+    if (/\.json$/i.test(file)) {
+        try {
+            dataset = JSON.parse(content);
+        } catch (e) {
+            throw new CasperError(f("Unable to parse JSON dataset %s: %s", file, e));
+        }
+        if (!utils.isArray(dataset)) {
+            throw new CasperError(f("JSON dataset %s must contain an array", file));
+        }
+        return dataset;
+    } else if (/\.csv$/i.test(file)) {
+        return parseCsv(content);
+    }
+    throw new CasperError(f("Unsupported dataset file type: %s", file));
+}
+
+/**
+ * Parses CSV contents, using the first line as column names. Quoted fields
+ * may contain commas, line breaks and doubled quotes.
+ *
+ * @param  String  content  CSV contents
+ * @return Array            An array of row objects
+ */
+function parseCsv(content) {
+    "use strict";
+    var lines = [], fields = [], field = '', quoted = false, i, c;
+    function endField() {
+        fields.push(field);
+        field = '';
+    }
+    function endLine() {
+        endField();
+        if (fields.length > 1 || fields[0] !== '') {
+            lines.push(fields);
+        }
+        fields = [];
+    }
+    for (i = 0; i < content.length; i++) {
+        c = content.charAt(i);
+        if (quoted) {
+            if (c === '"' && content.charAt(i + 1) === '"') {
+                field += c;
+                i++;
+            } else if (c === '"') {
+                quoted = false;
+            } else {
+                field += c;
+            }
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === ',') {
+            endField();
+        } else if (c === '\n') {
+            endLine();
+        } else if (c !== '\r') {
+            field += c;
+        }
+    }
+    if (field !== '' || fields.length > 0) {
+        endLine();
+    }
+    var columns = (lines.shift() || []).map(function _map(column) {
+        return column.trim();
+    });
+    return lines.map(function _map(line) {
+        var row = {};
+        columns.forEach(function _forEach(column, index) {
+            row[column] = line[index] !== undefined ? line[index] : '';
+        });
+        return row;
+    });
+}
+
+/**
+ * Reads a binary file and returns its base64 representation.
+ *
+ * @param  String  file  Path to the file
+ * @return String
+ */
+function readBase64(file) {
+    "use strict";
+    var stream = fs.open(file, 'rb');
+    var data = stream.read();
+    stream.close();
+    return window.btoa(data);
+}
+
+/**
+ * Creates the tester object passed to a test case function. It forwards
+ * everything to the tester, except `done()` calls made once the test case is
+ * over, eg. after it timed out and the runner moved on: these are ignored,
+ * so they can't end the test case running at that time.
+ *
+ * @param  Tester  tester  The tester instance
+ * @param  Object  suite   The test case
+ * @return Object
+ */
+function createSuiteTester(tester, suite) {
+    "use strict";
+    var test = Object.create(tester);
+    for (var name in tester) {
+        if (utils.isFunction(tester[name])) {
+            test[name] = forward(tester, name);
+        }
+    }
+    test.done = function done(planned) {
+        if (tester.currentSuite !== suite) {
+            tester.casper.log(f('Ignoring done() call of finished test case "%s"', suite.description), "warning");
+            return;
+        }
+        return tester.done(planned);
+    };
+    return test;
+}
+
+/**
+ * Creates a function calling a method of an object, bound to it.
+ *
+ * @param  Object  object  The object
+ * @param  String  name    The method name
+ * @return Function
+ */
+function forward(object, name) {
+    "use strict";
+    return function _forward() {
+        return object[name].apply(object, arguments);
+    };
+}
+
+/**
+ * Takes a copy of the event listeners and filters registered on an
+ * EventEmitter instance.
+ *
+ * @param  EventEmitter  emitter
+ * @return Object
+ */
+function snapshotListeners(emitter) {
+    "use strict";
+    var snapshot = {events: {}, filters: {}};
+    Object.keys(emitter._events || {}).forEach(function(type) {
+        var listeners = emitter._events[type];
+        snapshot.events[type] = utils.isArray(listeners) ? listeners.slice() : listeners;
+    });
+    Object.keys(emitter._filters || {}).forEach(function(type) {
+        snapshot.filters[type] = emitter._filters[type];
+    });
+    return snapshot;
+}
+
+/**
+ * Restores the event listeners and filters of an EventEmitter instance from
+ * a snapshot.
+ *
+ * @param  EventEmitter  emitter
+ * @param  Object        snapshot  As returned by snapshotListeners()
+ */
+function restoreListeners(emitter, snapshot) {
+    "use strict";
+    emitter._events = snapshotListeners({_events: snapshot.events}).events;
+    emitter._filters = snapshotListeners({_filters: snapshot.filters}).filters;
+}
+
 // Tester class is an EventEmitter
 utils.inherits(Tester, events.EventEmitter);
 
@@ -152,6 +152,26 @@
     }
     exports.getPropertyPath = getPropertyPath;
 
+    /**
+     * Converts a glob pattern to a RegExp matching whole strings. `**` matches
+     * any sequence of chars, `*` any sequence of chars but slashes and `?` a
+     * single char, eg. "*://*.example.com/**".
+     *
+     * @param  String  glob  The glob pattern
+     * @return RegExp
+     */
+    function globToRegExp(glob) {
+        if (!isString(glob)) {
+            throw new CasperError("globToRegExp() needs a string");
+        }
+        var source = glob.replace(/[\-\[\]\/\{\}\(\)\+\.\\\^\$\|]/g, "\\$&")
+                         .replace(/\*\*|\*|\?/g, function(match) {
+                             return {'**': '.*', '*': '[^/]*', '?': '.'}[match];
+                         });
+        return new RegExp('^' + source + '$');
+    }
+    exports.globToRegExp = globToRegExp;
+
     /**
      * Inherit the prototype methods from one constructor into another.
      *
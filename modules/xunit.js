@@ -41,10 +41,14 @@ exports.create = function create() {
 /**
  * JUnit XML (xUnit) exporter for test results.
  *
+ * Test results are grouped in a `<testsuite>` node per class name (test
+ * file), all contained within a `<testsuites>` root node.
+ *
  */
 function XUnitExporter() {
     "use strict";
-    this._xml = utils.node('testsuite');
+    this._suites = {};
+    this._xml = utils.node('testsuites');
     this._xml.toString = function toString() {
         return this.outerHTML; // ouch
     };
@@ -52,17 +56,60 @@ function XUnitExporter() {
 exports.XUnitExporter = XUnitExporter;
 
 /**
- * Adds a successful test result.
+ * Appends a `<testcase>` node to the suite matching a class name, with an
+ * optional result child node (`failure`, `error` or `skipped`), and updates
+ * the suite counters accordingly.
  *
  * @param  String  classname
  * @param  String  name
+ * @param  Number  duration    Test duration in milliseconds (optional)
+ * @param  String  childName   Result child node name (optional)
+ * @param  Object  childAttrs  Result child node attributes (optional)
+ * @param  String  childText   Result child node text content (optional)
  */
-XUnitExporter.prototype.addSuccess = function addSuccess(classname, name) {
+XUnitExporter.prototype.addCase = function addCase(classname, name, duration, childName, childAttrs, childText) {
     "use strict";
-    this._xml.appendChild(utils.node('testcase', {
+    var suite = this.getSuite(classname);
+    var attributes = {
         classname: generateClassName(classname),
         name:      name
-    }));
+    };
+    if (utils.isNumber(duration)) {
+        attributes.time = formatDuration(duration);
+    }
+    var tnode = utils.node('testcase', attributes);
+    if (childName) {
+        var child = utils.node(childName, childAttrs);
+        if (childText) {
+            child.appendChild(document.createTextNode(childText));
+        }
+        tnode.appendChild(child);
+        var counter = {failure: 'failures', error: 'errors', skipped: 'skipped'}[childName];
+        suite.setAttribute(counter, ~~suite.getAttribute(counter) + 1);
+    }
+    suite.setAttribute('tests', ~~suite.getAttribute('tests') + 1);
+    var output = suite.getElementsByTagName('system-out')[0];
+    if (output) {
+        suite.insertBefore(tnode, output);
+    } else {
+        suite.appendChild(tnode);
+    }
+};
+
+/**
+ * Adds a test result which errored, eg. because of an uncaught error.
+ *
+ * @param  String  classname
+ * @param  String  name
+ * @param  String  message
+ * @param  String  type
+ * @param  Number  duration   Test duration in milliseconds (optional)
+ */
+XUnitExporter.prototype.addError = function addError(classname, name, message, type, duration) {
+    "use strict";
+    this.addCase(classname, name, duration, 'error', {
+        type: type || "unknown"
+    }, message || "no message left");
 };
 
 /**
@@ -72,21 +119,109 @@ XUnitExporter.prototype.addSuccess = function addSuccess(classname, name) {
  * @param  String  name
  * @param  String  message
  * @param  String  type
+ * @param  Number  duration   Test duration in milliseconds (optional)
  */
-XUnitExporter.prototype.addFailure = function addFailure(classname, name, message, type) {
+XUnitExporter.prototype.addFailure = function addFailure(classname, name, message, type, duration) {
     "use strict";
-    var fnode = utils.node('testcase', {
-        classname: generateClassName(classname),
-        name:      name
-    });
-    var failure = utils.node('failure', {
+    this.addCase(classname, name, duration, 'failure', {
         type: type || "unknown"
-    });
-    failure.appendChild(document.createTextNode(message || "no message left"));
-    fnode.appendChild(failure);
-    this._xml.appendChild(fnode);
+    }, message || "no message left");
+};
+
+/**
+ * Adds a skipped test result.
+ *
+ * @param  String  classname
+ * @param  String  name
+ * @param  String  message    Reason why the test was skipped (optional)
+ */
+XUnitExporter.prototype.addSkip = function addSkip(classname, name, message) {
+    "use strict";
+    this.addCase(classname, name, undefined, 'skipped', message ? {
+        message: message
+    } : {});
+};
+
+/**
+ * Adds a successful test result.
+ *
+ * @param  String  classname
+ * @param  String  name
+ * @param  Number  duration   Test duration in milliseconds (optional)
+ */
+XUnitExporter.prototype.addSuccess = function addSuccess(classname, name, duration) {
+    "use strict";
+    this.addCase(classname, name, duration);
+};
+
+/**
+ * Retrieves the `<testsuite>` node matching a class name, creating it if
+ * needed.
+ *
+ * @param  String  classname
+ * @return HTMLElement
+ */
+XUnitExporter.prototype.getSuite = function getSuite(classname) {
+    "use strict";
+    var name = generateClassName(classname);
+    if (!this._suites.hasOwnProperty(name)) {
+        this._suites[name] = utils.node('testsuite', {
+            name:     name,
+            tests:    0,
+            failures: 0,
+            errors:   0,
+            skipped:  0
+        });
+        this._xml.appendChild(this._suites[name]);
+    }
+    return this._suites[name];
+};
+
+/**
+ * Sets the total duration of the suite matching a class name.
+ *
+ * @param  String  classname
+ * @param  Number  duration   Suite duration in milliseconds
+ */
+XUnitExporter.prototype.setSuiteDuration = function setSuiteDuration(classname, duration) {
+    "use strict";
+    if (!utils.isNumber(duration)) {
+        throw new CasperError("setSuiteDuration() needs a duration in milliseconds");
+    }
+    this.getSuite(classname).setAttribute('time', formatDuration(duration));
 };
 
+/**
+ * Sets the `<system-out>` output of the suite matching a class name,
+ * typically the log lines captured while running it.
+ *
+ * @param  String  classname
+ * @param  String  output
+ */
+XUnitExporter.prototype.setSuiteOutput = function setSuiteOutput(classname, output) {
+    "use strict";
+    var suite = this.getSuite(classname);
+    var onode = suite.getElementsByTagName('system-out')[0];
+    if (onode) {
+        suite.removeChild(onode);
+    }
+    onode = utils.node('system-out');
+    onode.appendChild(document.createTextNode(output || ""));
+    suite.appendChild(onode);
+};
+
+/**
+ * Formats a duration expressed in milliseconds into the seconds-based value
+ * expected by JUnit XML consumers.
+ *
+ * @param  Number  duration
+ * @return String
+ */
+function formatDuration(duration) {
+    "use strict";
+    return (~~duration / 1000).toFixed(3);
+}
+
 /**
  * Generates a value for 'classname' attribute of the JUnit XML report.
  *
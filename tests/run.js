@@ -36,20 +36,83 @@ function checkIncludeFile(include) {
 }
 
 // parse some options from cli
-casper.options.verbose = casper.cli.get('direct') || false;
-casper.options.logLevel = casper.cli.get('log-level') || "error";
+if (casper.cli.has('direct')) {
+    casper.options.verbose = casper.cli.get('direct') === true;
+}
+if (casper.cli.has('log-level')) {
+    casper.options.logLevel = casper.cli.get('log-level');
+}
 if (casper.cli.get('no-colors')) {
     var cls = 'Dummy';
     casper.options.colorizerType = cls;
     casper.colorizer = colorizer.create(cls);
 }
 
+// screenshot baselines
+if (casper.cli.has('baseline-dir')) {
+    casper.test.options.baselineDir = casper.cli.get('baseline-dir');
+}
+if (casper.cli.has('update-baselines')) {
+    casper.test.options.updateBaselines = casper.cli.get('update-baselines') === true;
+}
+
+// test filtering
+if (casper.cli.has('grep')) {
+    casper.test.options.grep = String(casper.cli.get('grep'));
+}
+if (casper.cli.has('tags')) {
+    casper.test.options.tags = String(casper.cli.get('tags')).split(',');
+}
+if (casper.cli.has('exclude')) {
+    casper.test.options.exclude = String(casper.cli.get('exclude')).split(',');
+}
+if (casper.cli.has('list')) {
+    casper.test.options.list = casper.cli.get('list') === true;
+}
+
+// stopping on failures
+if (casper.cli.has('fail-fast')) {
+    casper.test.options.failFast = casper.cli.get('fail-fast') === true;
+}
+if (casper.cli.has('max-failures')) {
+    casper.test.options.maxFailures = ~~casper.cli.get('max-failures');
+}
+
+// results reporter
+if (casper.cli.has('reporter')) {
+    try {
+        casper.test.setReporter(casper.cli.get('reporter'));
+    } catch (e) {
+        casper.echo(e.message, 'RED_BAR', 80);
+        casper.exit(1);
+    }
+}
+
+// parallel execution is handled by the python launcher
+if (casper.cli.has('concurrency')) {
+    casper.warn('The --concurrency option is not supported by this launcher, running tests sequentially');
+}
+
+// parallel worker mode: run a shard of the test files
+if (casper.cli.has('shard')) {
+    var shard = /^(\d+)\/(\d+)$/.exec(casper.cli.get('shard'));
+    if (!shard) {
+        casper.echo('The --shard option must be formatted as index/total', 'RED_BAR', 80);
+        casper.exit(1);
+    }
+    casper.test.options.shard = {index: ~~shard[1], total: ~~shard[2]};
+    // results are rendered once merged, see the --merge-results option
+    var quietReporter = new (require('reporter').Reporter)(casper.test);
+    quietReporter.comment = function() {};
+    casper.test.setReporter(quietReporter);
+}
+
 // test paths are passed as args
 if (casper.cli.args.length) {
     tests = casper.cli.args.filter(function(path) {
         return fs.isFile(path) || fs.isDirectory(path);
     });
-} else {
+} else if (!casper.cli.has('merge-results')) {
     casper.echo('No test path passed, exiting.', 'RED_BAR', 80);
     casper.exit(1);
 }
@@ -65,10 +128,53 @@ if (casper.cli.has('includes')) {
     casper.test.includes = utils.unique(includes);
 }
 
+// client-side code coverage
+if (casper.cli.has('coverage')) {
+    var coverage, coverageDir = casper.cli.get('coverage');
+    if (!utils.isString(coverageDir)) {
+        casper.echo('The --coverage option requires a directory path', 'RED_BAR', 80);
+        casper.exit(1);
+    }
+    try {
+        coverage = require('coverage').create(casper, {
+            exclude: casper.cli.has('coverage-exclude') ? String(casper.cli.get('coverage-exclude')).split(',') : []
+        }).start();
+    } catch (e) {
+        casper.echo(e.message, 'RED_BAR', 80);
+        casper.exit(1);
+    }
+    // counters are collected before the page is closed between test files
+    casper.test.tearDown(function() {
+        coverage.collect();
+    });
+    casper.test.on('tests.complete', function() {
+        coverage.collect().save(coverageDir);
+        casper.echo(f('Coverage report stored in %s', coverageDir), 'INFO', 80);
+    });
+}
+
 // test suites completion listener
 casper.test.on('tests.complete', function() {
+    if (casper.cli.has('results-file')) {
+        this.saveResults(casper.cli.get('results-file'));
+        casper.exit(this.testResults.failed > 0 ? 1 : 0);
+        return;
+    }
     this.renderResults(true, undefined, casper.cli.get('xunit') || undefined);
 });
 
-// run all the suites
-casper.test.runSuites.apply(casper.test, tests);
+// run all the suites, or merge the results of parallel workers (see the
+// --concurrency launcher option)
+if (casper.cli.has('merge-results')) {
+    try {
+        String(casper.cli.get('merge-results')).split(',').forEach(function(file) {
+            casper.test.loadResults(file);
+        });
+        casper.test.renderResults(true, undefined, casper.cli.get('xunit') || undefined);
+    } catch (e) {
+        casper.echo(e.message, 'RED_BAR', 80);
+        casper.exit(1);
+    }
+} else {
+    casper.test.runSuites.apply(casper.test, tests);
+}
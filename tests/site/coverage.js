@@ -0,0 +1,7 @@
+function covered() {
+    return 'covered';
+}
+function uncovered() {
+    return 'uncovered';
+}
+document.title = covered();
@@ -0,0 +1,31 @@
+var fs = require('fs');
+
+casper.test.begin('Casper cookies management', 7, function(test) {
+    if (typeof phantom.addCookie !== "function") {
+        test.skip(7, 'Cookies management requires PhantomJS >= 1.7');
+        return test.done();
+    }
+    var file = fs.pathJoin(fs.workingDirectory, '_cookies_test.json');
+    casper.start('tests/site/index.html', function() {
+        this.clearCookies();
+        this.setCookie({name: 'plop', value: '42', domain: 'localhost'});
+        this.setCookie({name: 'plip', value: '43', domain: 'localhost', httponly: true});
+        test.assertEquals(this.getCookies().length, 2, 'Casper.setCookie() adds cookies to the cookie jar');
+        test.assertEquals(this.getCookies('plop')[0].value, '42', 'Casper.getCookies() filters cookies by name');
+        test.assertEquals(this.getCookies({httponly: true})[0].name, 'plip', 'Casper.getCookies() filters cookies by properties');
+        this.deleteCookie('plop');
+        test.assertEquals(this.getCookies('plop').length, 0, 'Casper.deleteCookie() deletes a cookie');
+        this.saveCookies(file);
+        this.clearCookies();
+        test.assertEquals(this.getCookies().length, 0, 'Casper.clearCookies() clears the cookie jar');
+        this.loadCookies(file);
+        test.assertEquals(this.getCookies('plip').length, 1, 'Casper.loadCookies() loads saved cookies');
+        test.assertRaises(function(casper) {
+            casper.setCookie({value: 'no name'});
+        }, [this], 'Casper.setCookie() requires a cookie name');
+        fs.remove(file);
+    });
+    casper.run(function() {
+        test.done();
+    });
+});
@@ -0,0 +1,27 @@
+casper.start('tests/site/frames.html');
+
+casper.withFrame('frame1', function() {
+    this.test.comment('Casper.withFrame()');
+    this.test.assertTitle('CasperJS frame 1', 'Casper.withFrame() can switch to a frame by its name');
+    this.test.assertExists('#frame1-link', 'Casper.withFrame() makes selectors work within the frame');
+    this.test.assertEval(function() {
+        return typeof window.__utils__ === "object";
+    }, 'Casper.withFrame() injects client-side utilities within the frame');
+});
+
+casper.withFrame(1, function() {
+    this.test.assertTitle('CasperJS frame 2', 'Casper.withFrame() can switch to a frame by its index');
+    this.test.assertExists('#frame2-link', 'Casper.withFrame() makes selectors work within the frame');
+});
+
+casper.then(function() {
+    this.test.assertTitle('CasperJS test frames', 'Casper.withFrame() switches back to the parent frame');
+    this.test.assertDoesntExist('#frame1-link', 'Casper.withFrame() restores the parent frame DOM context');
+    this.test.assertRaises(function(casper) {
+        casper.switchToFrame('nonexistent');
+    }, [this], 'Casper.switchToFrame() throws on nonexistent frame');
+});
+
+casper.run(function() {
+    this.test.done();
+});
@@ -0,0 +1,33 @@
+var fs = require('fs');
+
+casper.test.begin('Casper HAR export', 7, function(test) {
+    var file = fs.pathJoin(fs.workingDirectory, '_casper_test.har');
+
+    casper.start('tests/site/index.html');
+
+    casper.thenOpen('tests/site/page1.html?foo=bar');
+
+    casper.then(function() {
+        this.saveHar(file);
+        test.assert(fs.isFile(file), 'Casper.saveHar() writes a HAR file');
+        var log = JSON.parse(fs.read(file)).log;
+        fs.remove(file);
+        test.assertEquals(log.version, '1.2', 'Casper.saveHar() exports a HAR 1.2 log');
+        test.assertEquals(log.pages.length, 2, 'Casper.saveHar() exports a page per page load');
+        test.assertEquals(log.pages[0].title, 'CasperJS test index', 'Casper.saveHar() exports page titles');
+        var image = log.entries.filter(function(entry) {
+            return /phantom\.png$/.test(entry.request.url);
+        })[0];
+        test.assertEquals(image.pageref, log.pages[0].id, 'Casper.saveHar() links entries to their page');
+        test.assertEquals(image.response.status, 200, 'Casper.saveHar() exports response status');
+        var page1 = log.entries.filter(function(entry) {
+            return /page1\.html/.test(entry.request.url);
+        })[0];
+        test.assertEquals(page1.request.queryString, [{name: 'foo', value: 'bar'}],
+            'Casper.saveHar() exports query string parameters');
+    });
+
+    casper.run(function() {
+        test.done();
+    });
+});
@@ -0,0 +1,46 @@
+casper.start('tests/site/keyboard.html', function() {
+    this.test.comment('Casper.sendKeys()');
+    this.sendKeys('#text', 'abc', { reset: true });
+    this.test.assertEvalEquals(function() {
+        return document.querySelector('#text').value;
+    }, 'abc', 'Casper.sendKeys() can type text into a focused field');
+    var results = this.getGlobal('results');
+    this.test.assertEquals(results.keydown.length, 3, 'Casper.sendKeys() triggered keydown events');
+    this.test.assertEquals(results.keypress.length, 3, 'Casper.sendKeys() triggered keypress events');
+    this.test.assertEquals(results.keyup.length, 3, 'Casper.sendKeys() triggered keyup events');
+
+    this.sendKeys('#text', [this.keyboard.keys.Backspace]);
+    this.test.assertEvalEquals(function() {
+        return document.querySelector('#text').value;
+    }, 'ab', 'Casper.sendKeys() can send special keys');
+
+    this.sendKeys('#text', [this.keyboard.keys.Enter]);
+    results = this.getGlobal('results');
+    this.test.assertEquals(results.keydown.pop(), 13, 'Casper.sendKeys() can send the Enter key');
+
+    this.sendKeys('#text', 'd', { modifiers: 'shift' });
+    results = this.getGlobal('results');
+    this.test.assert(results.shift, 'Casper.sendKeys() can send keys with modifiers');
+
+    this.sendKeys('#area', 'plop');
+    this.test.assertEvalEquals(function() {
+        return document.querySelector('#area').value;
+    }, 'plop', 'Casper.sendKeys() can type text into a textarea');
+});
+
+casper.then(function() {
+    this.test.comment('Keyboard events');
+    var emitted = [];
+    function onKeyPress(args) {
+        emitted.push(args[0]);
+    }
+    this.on('keyboard.keypress', onKeyPress);
+    this.keyboard.press('x');
+    this.removeListener('keyboard.keypress', onKeyPress);
+    this.test.assertEquals(emitted, ['x'], 'Keyboard.press() emits a keyboard.keypress event');
+    this.test.assertRaises(this.keyboard.press, ['NotAKey'], 'Keyboard.press() throws on unsupported key names');
+});
+
+casper.run(function() {
+    this.test.done();
+});
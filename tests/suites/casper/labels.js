@@ -0,0 +1,75 @@
+casper.test.begin('Casper step labels and navigation', 6, function(test) {
+    var visited = [], loops = 0, aborted = null, rejected = null;
+
+    casper.on('abort', function(reason) {
+        aborted = reason;
+    });
+
+    casper.start('tests/site/index.html');
+
+    casper.then('first', function() {
+        visited.push('first');
+        test.assertEquals(this.steps[this.step - 1].label, 'first', 'Casper.then() sets the step label');
+    });
+
+    casper.then('loop', function() {
+        visited.push('loop');
+        if (++loops < 2) {
+            this.gotoStep('loop');
+        } else {
+            this.skipTo('after');
+        }
+    });
+
+    casper.then('skipped', function() {
+        visited.push('skipped');
+    });
+
+    casper.then('after', function() {
+        visited.push('after');
+        test.assertRaises(function(casper) {
+            casper.skipTo('first');
+        }, [this], 'Casper.skipTo() cannot skip backwards');
+        this.abort('testing abort()');
+    });
+
+    casper.then('never', function() {
+        visited.push('never');
+    });
+    casper.promise()['catch'](function(error) {
+        rejected = error;
+    });
+
+    casper.run(function() {
+        test.assertEquals(visited, ['first', 'loop', 'loop', 'after'],
+                          'Casper.gotoStep() and Casper.skipTo() navigate through labelled steps');
+        test.assertEquals(aborted, 'testing abort()', 'Casper.abort() emits an abort event');
+        test.assertNot(visited.indexOf('never') > -1, 'Casper.abort() discards the remaining steps');
+        test.assert(rejected instanceof CasperError, 'Casper.abort() rejects the promises of the discarded steps');
+        test.done();
+    });
+});
+
+casper.test.begin('Casper.clearSteps()', 3, function(test) {
+    var rejected = null;
+
+    casper.start('tests/site/index.html');
+
+    casper.run(function() {
+        this.then(function() {
+            test.fail('Casper.clearSteps() discards the steps');
+        });
+        this.promise()['catch'](function(error) {
+            rejected = error;
+        });
+        this.clearSteps('testing clearSteps()');
+        this.then(function() {
+            test.assertTitle('CasperJS test index', 'Casper.clearSteps() keeps the current page');
+            test.assertEquals(this.steps.length, 1, 'Casper.clearSteps() discards the steps');
+            test.assert(rejected instanceof CasperError, 'Casper.clearSteps() rejects the promises of the discarded steps');
+        });
+        this.run(function() {
+            test.done();
+        });
+    });
+});
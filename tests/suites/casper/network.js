@@ -0,0 +1,43 @@
+casper.test.begin('Casper network activity tracker', 8, function(test) {
+    casper.start('tests/site/network.html');
+
+    casper.waitForNetworkIdle(300, function() {
+        var log = this.getNetworkLog();
+        var urls = log.map(function(entry) {
+            return entry.url;
+        });
+        test.assertEquals(this.network.getPending().length, 0, 'Casper.waitForNetworkIdle() waits for pending requests');
+        test.assertEvalEquals(function() {
+            return document.querySelectorAll('#results li').length;
+        }, 3, 'Casper.waitForNetworkIdle() waits for delayed XHR requests');
+        test.assertMatch(urls[0], /network\.html$/, 'Casper.getNetworkLog() records the main page request first');
+        test.assert(urls.some(function(url) {
+            return /page1\.html$/.test(url);
+        }), 'Casper.getNetworkLog() records XHR requests');
+        var index = this.getNetworkLog(function(entry) {
+            return /index\.html$/.test(entry.url);
+        })[0];
+        test.assertEquals(index.state, 'completed', 'Casper.getNetworkLog() records completed requests state');
+        test.assertEquals(index.status, 200, 'Casper.getNetworkLog() records the HTTP status');
+        test.assert(index.duration >= 0 && index.startTime instanceof Date,
+            'Casper.getNetworkLog() records request timings');
+        var missing = this.getNetworkLog(function(entry) {
+            return /missing\.html$/.test(entry.url);
+        })[0];
+        test.assertEquals(missing.status, 404, 'Casper.getNetworkLog() records failed requests status');
+    });
+
+    casper.run(function() {
+        test.done();
+    });
+});
+
+casper.test.begin('Casper network log reset', 1, function(test) {
+    casper.start('tests/site/index.html');
+
+    casper.run(function() {
+        this.reset();
+        test.assertEquals(this.getNetworkLog(), [], 'Casper.reset() clears the network log');
+        test.done();
+    });
+});
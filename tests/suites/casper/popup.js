@@ -0,0 +1,59 @@
+var created = 0, requested = [], messages = [];
+
+casper.on('popup.created', function() {
+    created++;
+});
+
+casper.on('popup.resource.requested', function(popup, request) {
+    requested.push(request.url);
+});
+
+casper.on('remote.message', function(message) {
+    messages.push(message);
+});
+
+casper.start('tests/site/popup.html', function() {
+    this.test.comment('Casper.waitForPopup()');
+    this.click('#open-popup');
+});
+
+casper.waitForPopup(/test\.html$/, function() {
+    this.test.assertEquals(created, 1, 'Casper emits a popup.created event when a popup is opened');
+    this.test.assertEquals(this.popups.length, 1, 'Casper.popups tracks the opened popup');
+    this.test.assertMatch(this.popups.list()[0], /test\.html$/, 'Casper.popups.list() lists popup urls');
+    this.test.assert(requested.some(function(url) {
+        return /test\.html$/.test(url);
+    }), 'Casper emits popup.resource.requested events for popup requests');
+    this.test.assertNot(this.resources.some(function(resource) {
+        return /test\.html$/.test(resource.url);
+    }), 'Casper does not record popup resources as main page ones');
+});
+
+casper.withPopup(/test\.html$/, function() {
+    this.test.comment('Casper.withPopup()');
+    this.test.assertTitle('CasperJS test target', 'Casper.withPopup() switches to the popup page');
+    this.test.assertEquals(this.page.viewportSize, this.mainPage.viewportSize, 'Casper popups inherit the viewport size');
+    this.page.evaluate(function() {
+        console.log('from popup');
+    });
+    this.test.assert(messages.indexOf('from popup') > -1, 'Casper handles popup console messages');
+});
+
+casper.then(function() {
+    this.test.assertTitle('CasperJS test popup', 'Casper.withPopup() restores the main page');
+    this.test.assertRaises(function(casper) {
+        casper.popups.find(/nonexistent/);
+    }, [this], 'Casper.popups.find() throws on unmatched popup');
+});
+
+casper.run(function() {
+    var popup = this.popups[0], close = popup.close, closed = 0;
+    popup.close = function() {
+        closed++;
+        return close.apply(popup, arguments);
+    };
+    this.reset();
+    this.test.assertEquals(closed, 1, 'Casper.reset() closes the popups');
+    this.test.assertEquals(this.popups.length, 0, 'Casper.reset() empties the popups stack');
+    this.test.done();
+});
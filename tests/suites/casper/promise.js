@@ -0,0 +1,71 @@
+casper.test.begin('Promise shim', 4, function(test) {
+    var promises = require('promise');
+    var deferred = promises.defer();
+
+    deferred.promise.then(function(value) {
+        test.assertEquals(value, 42, 'Promise.then() receives the resolution value');
+        return value + 1;
+    }).then(function(value) {
+        test.assertEquals(value, 43, 'Promise.then() chains returned values');
+        return promises.reject(new Error('boom'));
+    })['catch'](function(error) {
+        test.assertEquals(error.message, 'boom', 'Promise.catch() receives the rejection reason');
+        return promises.all([1, promises.resolve(2)]);
+    }).then(function(values) {
+        test.assertEquals(values, [1, 2], 'promise.all() resolves with all the values');
+        test.done();
+    });
+
+    deferred.resolve(42);
+    deferred.resolve(0);
+});
+
+casper.test.begin('Casper.promise()', 5, function(test) {
+    var results = {};
+
+    casper.start('tests/site/index.html');
+
+    casper.then(function() {
+        return 'foo';
+    });
+    casper.promise().then(function(value) {
+        results.then = value;
+    });
+
+    casper.thenEvaluate(function() {
+        return document.title;
+    });
+    casper.promise().then(function(value) {
+        results.thenEvaluate = value;
+    });
+
+    casper.thenOpen('tests/site/waitFor.html');
+    casper.promise().then(function(response) {
+        results.thenOpen = response.url;
+    });
+
+    casper.waitForSelector('li');
+    casper.promise().then(function(count) {
+        results.waitForSelector = count;
+    });
+
+    casper.waitFor(function() {
+        return false;
+    }, null, function() {}, 100);
+    casper.promise()['catch'](function(error) {
+        results.timeout = error;
+    });
+
+    casper.wait(50, function() {
+        test.assertEquals(results.then, 'foo', 'Casper.promise() resolves with the step return value');
+        test.assertEquals(results.thenEvaluate, 'CasperJS test index',
+            'Casper.promise() resolves with the evaluated result');
+        test.assertMatch(results.thenOpen, /waitFor\.html$/, 'Casper.promise() resolves with the HTTP response');
+        test.assertEquals(results.waitForSelector, 3, 'Casper.promise() resolves with the matched elements count');
+        test.assert(results.timeout instanceof CasperError, 'Casper.promise() is rejected on wait timeout');
+    });
+
+    casper.run(function() {
+        test.done();
+    });
+});
@@ -0,0 +1,67 @@
+var fs = require('fs');
+
+casper.test.begin('REPL', 12, function(test) {
+    var historyFile = fs.pathJoin(fs.workingDirectory, '_casper_test_repl_history');
+    if (fs.exists(historyFile)) {
+        fs.remove(historyFile);
+    }
+    var repl = require('repl').create(casper, {historyFile: historyFile});
+    var printed = [], written = [];
+    repl.print = function(value) {
+        printed.push(value);
+    };
+    repl.write = function(text, style) {
+        written.push([text, style]);
+    };
+    function execute(lines, done) {
+        if (lines.length === 0) {
+            return done();
+        }
+        repl.execute(lines[0], function() {
+            execute(lines.slice(1), done);
+        });
+    }
+    execute([
+        'open("tests/site/index.html")',
+        'getTitle()',
+        '> document.title',
+        '$.answer = 21',
+        '$.answer * 2',
+        'var nothing = 1',
+        'nonexistent()',
+        '!2',
+        'waitForSelector("#nonexistent", null, null, 100)',
+        '.history'
+    ], function() {
+        test.assertEquals(printed, ['CasperJS test index', 'CasperJS test index', 21, 42, 'CasperJS test index'],
+            'Repl.execute() prints results of javascript code and remote expressions');
+        test.assertEquals(casper.getCurrentUrl().split('/').pop(), 'index.html',
+            'Repl.execute() waits for the navigation triggered by Casper methods');
+        test.assert(written.some(function(entry) {
+            return /nonexistent/.test(entry[0]) && entry[1] === 'ERROR';
+        }), 'Repl.execute() writes errors');
+        test.assert(written.some(function(entry) {
+            return entry[0] === 'getTitle()' && entry[1] === 'COMMENT';
+        }), 'Repl.execute() runs history entries again');
+        test.assert(written.some(function(entry) {
+            return entry[0] === 'waitForSelector() timeout expired' && entry[1] === 'ERROR';
+        }), 'Repl.execute() does not exit on wait timeouts');
+        test.assert(written.some(function(entry) {
+            return entry[0] === '7  nonexistent()';
+        }), 'Repl.execute() lists history entries');
+        test.assertEquals(repl.history.length, 10, 'Repl.execute() adds entered lines to the history');
+        test.assertEquals(repl.history[7], 'getTitle()', 'Repl.execute() adds recalled entries to the history');
+        var restored = require('repl').create(casper, {historyFile: historyFile, historySize: 3});
+        test.assertEquals(restored.history, ['getTitle()', 'waitForSelector("#nonexistent", null, null, 100)', '.history'],
+            'Repl() loads the history file');
+        repl.execute('.help', function() {
+            test.assertMatch(written[written.length - 1][0], /Available functions:/, 'Repl.execute() handles the .help command');
+            repl.execute('.nonexistent', function() {
+                test.assertEquals(written[written.length - 1][1], 'ERROR', 'Repl.execute() rejects unknown commands');
+                test.assertRaises(require('repl').create, [{}], 'Repl() needs a Casper instance');
+                fs.remove(historyFile);
+                test.done();
+            });
+        });
+    });
+});
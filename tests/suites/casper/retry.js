@@ -0,0 +1,84 @@
+casper.test.begin('Casper step retry policy', 4, function(test) {
+    var attempts = 0, retries = [], runs = 0, resolved = [];
+
+    casper.on('step.retry', function(step, attempt) {
+        retries.push(attempt);
+    });
+
+    casper.start('tests/site/index.html');
+
+    casper.then(function() {
+        if (++attempts < 3) {
+            throw new Error('flaky step');
+        }
+    }, {
+        retry: {attempts: 3, delay: 10}
+    });
+
+    casper.then(function() {
+        test.assertEquals(attempts, 3, 'Casper.then() retries a failing step until it succeeds');
+        test.assertEquals(retries, [2, 3], 'Casper emits a step.retry event per retry');
+    });
+
+    casper.then(function() {
+        return ++runs;
+    }, {
+        retry: {
+            attempts: 2,
+            delay:    10,
+            when:     function(casper, error) {
+                return true;
+            }
+        }
+    });
+    casper.promise().then(function(value) {
+        resolved.push(value);
+    });
+
+    casper.wait(50, function() {
+        test.assertEquals(resolved, [2], 'Casper.promise() resolves once with the last attempt result');
+    });
+
+    casper.run(function() {
+        test.assertEquals(runs, 2, 'Casper.then() retries a step according to the retry policy predicate and attempts');
+        test.done();
+    });
+});
+
+casper.test.begin('Casper retry option', 2, {
+    setUp: function() {
+        this.retry = casper.options.retry;
+        casper.options.retry = {
+            attempts: 2,
+            delay:    10,
+            when:     function(casper, error) {
+                return true;
+            }
+        };
+    },
+
+    tearDown: function() {
+        casper.options.retry = this.retry;
+    },
+
+    test: function(test) {
+        var runs = 0, checks = 0;
+
+        casper.start('tests/site/index.html');
+
+        casper.then(function() {
+            runs++;
+        });
+
+        casper.waitFor(function() {
+            checks++;
+            return true;
+        });
+
+        casper.run(function() {
+            test.assertEquals(runs, 2, 'Casper retry option applies to the steps added by scripts');
+            test.assertEquals(checks, 1, 'Casper retry option does not apply to internal wait steps');
+            test.done();
+        });
+    }
+});
@@ -0,0 +1,52 @@
+var utils = require('utils');
+
+casper.test.begin('utils.globToRegExp()', 3, function(test) {
+    var regexp = utils.globToRegExp('*://*.example.com/**');
+    test.assert(regexp.test('http://www.example.com/foo/bar.js'), 'utils.globToRegExp() converts * and ** wildcards');
+    test.assertNot(regexp.test('http://evil.com/www.example.com/'), 'utils.globToRegExp() * wildcard does not match slashes');
+    test.assert(utils.globToRegExp('file?.js').test('file1.js'), 'utils.globToRegExp() converts ? wildcard');
+    test.done();
+});
+
+casper.test.begin('Casper request routing', 3, {
+    setUp: function() {
+        this.blockResources = casper.options.blockResources;
+        casper.options.blockResources = ['**/phantom.png?*'];
+    },
+
+    tearDown: function() {
+        casper.options.blockResources = this.blockResources;
+    },
+
+    test: function(test) {
+        var blocked = [], routed = [];
+        if (phantom.version.major === 1 && phantom.version.minor < 9) {
+            test.skip(3, 'Request routing requires PhantomJS >= 1.9');
+            return test.done();
+        }
+        casper.on('resource.blocked', function(request) {
+            blocked.push(request.url);
+        });
+        casper.start();
+        casper.route(/resources\.html$/, function(request, controller) {
+            routed.push(request.url);
+        });
+        casper.route('**/mocked.html', function(request, controller) {
+            controller.respond('<html><head><title>mocked</title></head></html>');
+        });
+        casper.thenOpen('tests/site/resources.html');
+        casper.waitFor(function() {
+            // the image is requested 1s after the page load
+            return blocked.length > 0;
+        }, function() {
+            test.assertEquals(routed.length, 1, 'Casper.route() calls handlers of matching requests');
+            test.assertMatch(blocked[0], /phantom\.png/, 'Casper blocks requests matching the blockResources option');
+        });
+        casper.thenOpen('http://localhost:54321/mocked.html', function() {
+            test.assertTitle('mocked', 'Casper.route() handlers can mock responses');
+        });
+        casper.run(function() {
+            test.done();
+        });
+    }
+});
@@ -0,0 +1,38 @@
+var fs = require('fs'), baselineDir = fs.pathJoin(fs.workingDirectory, '_casper_test_baselines');
+
+if (fs.isDirectory(baselineDir)) {
+    fs.removeTree(baselineDir);
+}
+
+casper.test.begin('Tester.assertScreenshotMatches()', 4, function(test) {
+    var diff, first, second;
+    casper.start('tests/site/index.html', function() {
+        this.viewport(300, 200);
+        test.assertScreenshotMatches('list', 'ul', {directory: baselineDir});
+        test.assert(fs.isFile(baselineDir + '/list.png'), 'Tester.assertScreenshotMatches() creates a missing baseline');
+    });
+    casper.then(function() {
+        test.assertScreenshotMatches('list', 'ul', {
+            directory: baselineDir,
+            message:   'Tester.assertScreenshotMatches() compares a screenshot with its baseline'
+        });
+    });
+    casper.then(function() {
+        first = this.captureBase64('png', 'ul');
+        this.evaluate(function() {
+            document.querySelector('li').style.color = 'red';
+        });
+        second = this.captureBase64('png', 'ul');
+        diff = require('imagediff').create().load(first, second);
+    });
+    casper.waitFor(function() {
+        return diff.isReady();
+    }, function() {
+        test.assert(diff.compare().mismatch > 0, 'ImageDiff.compare() detects differing pixels');
+        diff.close();
+    });
+    casper.run(function() {
+        fs.removeTree(baselineDir);
+        test.done();
+    });
+});
@@ -0,0 +1,40 @@
+var x = require('casper').selectXPath;
+var readme = phantom.casperPath + '/README.md';
+var changelog = phantom.casperPath + '/CHANGELOG.md';
+
+casper.start('tests/site/upload.html', function() {
+    this.test.comment('Casper.fill() file uploads using XPath');
+    this.fill(x('//form'), {
+        single:  readme,
+        several: [readme, changelog]
+    });
+    this.test.assertEvalEquals(function() {
+        return document.querySelector('input[name="single"]').files.length;
+    }, 1, 'Casper.fill() can select a file to upload from an XPath selected form');
+    this.test.assertEvalEquals(function() {
+        return document.querySelector('input[name="several"]').files.length;
+    }, 2, 'Casper.fill() can select several files to upload in a multiple field');
+});
+
+casper.then(function() {
+    this.test.comment('Casper.uploadFile()');
+    var uploaded = [];
+    this.once('upload', function(selector, paths) {
+        uploaded = paths;
+    });
+    this.uploadFile('#standalone', readme);
+    this.test.assertEvalEquals(function() {
+        return document.querySelector('#standalone').files.length;
+    }, 1, 'Casper.uploadFile() can select a file outside of a form');
+    this.test.assertEquals(uploaded, [require('fs').absolute(readme)], 'Casper.uploadFile() emits an upload event');
+    this.test.assertRaises(function(casper) {
+        casper.uploadFile('#standalone', '/does/not/exist.txt');
+    }, [this], 'Casper.uploadFile() checks that the local file exists');
+    this.test.assertRaises(function(casper) {
+        casper.uploadFile('#notafile', readme);
+    }, [this], 'Casper.uploadFile() checks that the field is a file input');
+});
+
+casper.run(function() {
+    this.test.done();
+});
@@ -122,4 +122,47 @@ t.comment('parse(), get(), has()');
     }, 'drop() did not affect other raw options');
 })(cli.parse(['foo & bar', 'baz & boz', '--universe=42', '--lap=13.37', '--chucknorris', '--oops=false']));
 
+t.comment('parse() with a schema');
+
+(function(schema) {
+    var parsed = cli.parse(['foo.js', '--name', 'bob', '-p', '9000', '-v', '--tag=a', '--tag', 'b',
+                            '--code=007', '--other=42', '--no-verbose', 'bar'], schema);
+    t.assertEquals(parsed.args, ['foo.js', 'bar'], 'parse() consumes values of typed options');
+    t.assertEquals(parsed.options, {
+        name: 'bob',
+        port: 9000,
+        verbose: false,
+        tag: ['a', 'b'],
+        code: '007',
+        other: 42
+    }, 'parse() casts options according to the schema');
+    t.assertEquals(parsed.raw.get('port'), '9000', 'parse() keeps raw values of typed options');
+    t.assertEquals(cli.parse(['--name=bob'], schema).options, {
+        name: 'bob',
+        port: 8080,
+        tag: []
+    }, 'parse() applies schema defaults');
+    t.assertRaises(cli.parse, [['--port=x', '--name=bob'], schema], 'parse() rejects invalid typed values');
+    t.assertRaises(cli.parse, [[], schema], 'parse() rejects missing required options');
+    t.assertEquals(cli.parse(cli.parse(['--name=007']), schema).get('name'), '007',
+        'parse() can parse a previous result against a schema');
+    t.assertEquals(parsed.help('foo.js [options]').split('\n'), [
+        'Usage: foo.js [options]',
+        '',
+        'Options:',
+        '',
+        '  -p, --port=<integer>  Server port (default: 8080)',
+        '  -v, --verbose         Verbose output',
+        '      --tag=<string>    (repeatable)',
+        '      --name=<string>   (required)',
+        '      --code=<string>'
+    ], 'help() generates help text from the schema');
+})({
+    port:    {type: 'integer', alias: 'p', 'default': 8080, description: 'Server port'},
+    verbose: {type: 'boolean', alias: 'v', description: 'Verbose output'},
+    tag:     {array: true},
+    name:    {required: true},
+    code:    {}
+});
+
 t.done();
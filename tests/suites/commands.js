@@ -0,0 +1,41 @@
+var fs = require('fs');
+var commands = require('commands');
+
+casper.test.begin('Commands registry', 11, function(test) {
+    var root = fs.pathJoin(fs.workingDirectory, '_casper_test_commands'), modules = fs.pathJoin(root, 'node_modules');
+    if (fs.isDirectory(root)) {
+        fs.removeTree(root);
+    }
+    fs.makeTree(fs.pathJoin(modules, 'casperjs-scrape'));
+    fs.write(fs.pathJoin(modules, 'casperjs-scrape', 'index.js'), [
+        'exports.name = "scrape";',
+        'exports.description = "Scrapes things.";',
+        'exports.options = {depth: {type: "integer", "default": 1}};',
+        'exports.run = function(cli) { return cli.get("depth"); };'
+    ].join('\n'), 'w');
+    fs.write(fs.pathJoin(modules, 'casperjs-broken.js'), 'exports.name = "broken";', 'w');
+    var registry = commands.create(phantom.casperPath, fs.pathJoin(root, 'project'));
+    test.assertEquals(registry.find('test').name, 'test', 'Registry.find() retrieves a built-in command');
+    test.assert(registry.isBuiltin('selftest'), 'Registry.isBuiltin() checks for built-in commands');
+    test.assert(!registry.isBuiltin('scrape'), 'Registry.isBuiltin() checks for built-in commands');
+    var scrape = registry.find('scrape');
+    test.assertEquals(scrape.description, 'Scrapes things.', 'Registry.find() retrieves a casperjs-<name> module');
+    var cliArgs = registry.parse(scrape, require('cli').parse(['--depth', '3']));
+    test.assertEquals(registry.run(scrape, cliArgs), 3, 'Registry.run() runs a command with its parsed options');
+    test.assertEquals(registry.find('nonexistent'), null, 'Registry.find() retrieves null for unknown commands');
+    test.assertEquals(registry.find('../casperjs-scrape'), null, 'Registry.find() rejects invalid command names');
+    test.assertRaises(function() {
+        registry.find('broken');
+    }, [], 'Registry.find() rejects modules without a run() function');
+    registry.register({name: 'serve', run: function() {}});
+    test.assert(['broken', 'help', 'scrape', 'selftest', 'serve', 'test', 'version'].every(function(name) {
+        return registry.list().indexOf(name) > -1;
+    }), 'Registry.list() lists built-in, installed and registered commands');
+    test.assertRaises(function() {
+        registry.register({name: 'serve'});
+    }, [], 'Registry.register() validates commands');
+    test.assertMatch(registry.usage(scrape), /^Scrapes things\.\n\nUsage: casperjs scrape\n\nOptions:\n\n {6}--depth=<integer>  \(default: 1\)$/,
+        'Registry.usage() generates help text for a command');
+    fs.removeTree(root);
+    test.done();
+});
@@ -0,0 +1,41 @@
+var fs = require('fs');
+var config = require('config');
+
+casper.test.begin('Configuration files', 9, function(test) {
+    var root = fs.pathJoin(fs.workingDirectory, '_casper_test_config'), nested = fs.pathJoin(root, 'tests', 'suites');
+    if (fs.isDirectory(root)) {
+        fs.removeTree(root);
+    }
+    fs.makeTree(nested);
+    fs.write(fs.pathJoin(root, 'casperjs.json'), JSON.stringify({
+        casper: {viewportSize: {width: 800, height: 600}, waitTimeout: 1000},
+        test:   {reporter: 'dot'},
+        cli:    {'log-level': 'debug', xunit: 'log.xml'},
+        profiles: {
+            ci: {
+                casper: {viewportSize: {width: 1024}},
+                cli:    {xunit: 'ci.xml'}
+            }
+        }
+    }), 'w');
+    var file = config.find(nested);
+    test.assertEquals(file, fs.pathJoin(root, 'casperjs.json'), 'config.find() walks up directories to find a configuration file');
+    var base = config.load(file);
+    test.assertEquals(base.get('casper'), {viewportSize: {width: 800, height: 600}, waitTimeout: 1000},
+        'Config.get() retrieves a configuration section');
+    test.assertEquals(base.get('nonexistent'), {}, 'Config.get() retrieves an empty object for missing sections');
+    var ci = config.load(file, 'ci');
+    test.assertEquals(ci.get('casper').viewportSize, {width: 1024, height: 600},
+        'Config.get() merges the current profile values');
+    var section = ci.get('test');
+    section.reporter = 'tap';
+    test.assertEquals(ci.get('test').reporter, 'dot', 'Config.get() retrieves a copy of the section');
+    var cliArgs = ci.applyCli(require('cli').parse(['--xunit=mine.xml']));
+    test.assertEquals(cliArgs.get('xunit'), 'mine.xml', 'Config.applyCli() keeps values passed on the command line');
+    test.assertEquals(cliArgs.get('log-level'), 'debug', 'Config.applyCli() adds default CLI values');
+    test.assertRaises(config.load, [file, 'nonexistent'], 'config.load() throws on unknown profiles');
+    fs.write(fs.pathJoin(nested, '.casperrc'), '{"cli": {}}', 'w');
+    test.assertEquals(config.find(nested), fs.pathJoin(nested, '.casperrc'), 'config.find() retrieves the closest configuration file');
+    fs.removeTree(root);
+    test.done();
+});
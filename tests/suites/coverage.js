@@ -0,0 +1,69 @@
+var fs = require('fs');
+
+casper.test.begin('Coverage instrumentation and reports', 7, function(test) {
+    var coverage;
+    try {
+        coverage = require('coverage').create(casper);
+    } catch (e) {
+        test.skip(7, e.message);
+        return test.done();
+    }
+    var source = [
+        '"use strict";',
+        'function plop(a) {',
+        '    if (a) return 1;',
+        '    return 2;',
+        '}',
+        'plop(false);'
+    ].join('\n');
+    var instrumented = coverage.instrument(source, 'http://localhost/plop.js');
+    test.assertEquals(instrumented.split('\n').length, 6, 'Coverage.instrument() keeps line numbers');
+    test.assert(/^"use strict";/.test(instrumented), 'Coverage.instrument() keeps directives first');
+    (function(window) {
+        eval(instrumented);
+    })(window);
+    var counters = window.__casper_coverage__['http://localhost/plop.js'];
+    var file = coverage.files['http://localhost/plop.js'];
+    file.s = counters.s;
+    file.f = counters.f;
+    var report = coverage.getReport()['http://localhost/plop.js'];
+    test.assertEquals(report.lines, {3: 1, 4: 1, 6: 1}, 'Coverage.getReport() reports line counts');
+    test.assertEquals(report.functions, [{name: 'plop', line: 2, count: 1}], 'Coverage.getReport() reports function counts');
+    test.assertEquals(report.statements, {total: 4, covered: 3}, 'Coverage.getReport() reports statement counts');
+    test.assertMatch(coverage.toLcov(), /SF:http:\/\/localhost\/plop\.js\n[\s\S]*DA:3,1\n[\s\S]*end_of_record/,
+        'Coverage.toLcov() exports the report using the lcov format');
+    coverage.instrument(source, 'http://localhost/plop.js');
+    test.assertEquals(coverage.getReport()['http://localhost/plop.js'].statements, {total: 4, covered: 3},
+        'Coverage.instrument() keeps the counters of a script loaded again');
+    test.done();
+});
+
+casper.test.begin('Coverage of the scripts loaded by pages', 5, function(test) {
+    var coverage, other = require('casper').create();
+    var dir = fs.pathJoin(fs.workingDirectory, '_casper_test_coverage');
+    var url = 'http://localhost:54321/tests/site/coverage.js';
+    try {
+        coverage = require('coverage').create(other).start();
+    } catch (e) {
+        test.skip(5, e.message);
+        return test.done();
+    }
+    other.start('http://localhost:54321/tests/site/coverage.html', function() {
+        test.assertEquals(this.getTitle(), 'covered', 'Coverage runs the instrumented scripts');
+    });
+    other.run(function() {
+        coverage.collect().save(dir);
+        test.assert(fs.isFile(fs.pathJoin(dir, 'coverage.json')), 'Coverage.save() writes a coverage.json report');
+        var report = JSON.parse(fs.read(fs.pathJoin(dir, 'coverage.json')))[url];
+        var lcov = fs.read(fs.pathJoin(dir, 'lcov.info'));
+        fs.removeTree(dir);
+        test.assertEquals(report.lines, {2: 1, 5: 0, 7: 1}, 'Coverage collects the line counts of loaded scripts');
+        test.assertEquals(report.functions, [
+            {name: 'covered', line: 1, count: 1},
+            {name: 'uncovered', line: 4, count: 0}
+        ], 'Coverage collects the function counts of loaded scripts');
+        test.assertMatch(lcov, /SF:http:\/\/localhost:54321\/tests\/site\/coverage\.js\n[\s\S]*FNDA:0,uncovered/,
+            'Coverage.save() writes a lcov.info report');
+        test.done();
+    });
+});
@@ -0,0 +1,55 @@
+var reporter = require('reporter');
+
+function createTester(name) {
+    var output = [];
+    var tester = require('tester').create(casper, {reporter: name});
+    tester.reporter.write = function(text) {
+        output.push(text);
+    };
+    tester.currentTestFile = 'plop.js';
+    return {tester: tester, output: output};
+}
+
+casper.test.begin('reporter.create()', 3, function(test) {
+    test.assert(reporter.create('console', test) instanceof reporter.ConsoleReporter, 'reporter.create() creates the console reporter');
+    test.assert(reporter.create('tap', test) instanceof reporter.Reporter, 'reporter.create() creates built-in reporters');
+    test.assertRaises(function() {
+        reporter.create('nonexistent-reporter', test);
+    }, [], 'reporter.create() throws on unknown reporter');
+    test.done();
+});
+
+casper.test.begin('TapReporter', 4, function(test) {
+    var t = createTester('tap');
+    t.tester.assert(true, 'plop');
+    t.tester.assert(false, 'plip');
+    t.tester.skip(1, 'plup');
+    test.assertEquals(t.output[0], 'ok 1 - plop', 'TapReporter writes successful tests');
+    test.assertEquals(t.output[1], 'not ok 2 - plip', 'TapReporter writes failed tests');
+    test.assert(t.output.indexOf('ok 3 # SKIP plup') > -1, 'TapReporter writes skipped tests');
+    t.tester.reporter.render(t.tester.testResults);
+    test.assert(t.output.indexOf('1..3') > -1, 'TapReporter writes the test plan');
+    test.done();
+});
+
+casper.test.begin('JsonReporter', 3, function(test) {
+    var t = createTester('json'), results;
+    t.tester.assert(true, 'plop');
+    t.tester.assert(false, 'plip');
+    t.tester.reporter.render(t.tester.testResults);
+    results = JSON.parse(t.output.join('\n'));
+    test.assertEquals(results.passed, 1, 'JsonReporter exports passed tests count');
+    test.assertEquals(results.failed, 1, 'JsonReporter exports failed tests count');
+    test.assertEquals(results.failures[0].message, 'plip', 'JsonReporter exports failures');
+    test.done();
+});
+
+casper.test.begin('DotReporter', 1, function(test) {
+    var t = createTester('dot');
+    t.tester.assert(true, 'plop');
+    t.tester.assert(false, 'plip');
+    t.tester.skip(1, 'plup');
+    t.tester.reporter.flush();
+    test.assertEquals(t.output[0], '.FS', 'DotReporter writes a progress line');
+    test.done();
+});
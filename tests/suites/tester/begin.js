@@ -0,0 +1,64 @@
+var order = [];
+
+casper.test.begin('Tester.begin() starts a test case', 3, function(test) {
+    order.push('first');
+    test.assertEquals(test.currentSuite.description, 'Tester.begin() starts a test case', 'Tester.begin() sets the current test case');
+    test.assertEquals(test.currentSuite.planned, 3, 'Tester.begin() stores the planned number of assertions');
+    test.assertEquals(test.currentSuite.executed, 2, 'Tester.begin() counts executed assertions');
+    test.done();
+});
+
+casper.test.begin('Tester.begin() handles asynchronous test cases', 1, function(test) {
+    order.push('second');
+    casper.start('tests/site/index.html', function() {
+        test.assertTitle('CasperJS test index', 'Tester.begin() test case can run casper steps');
+    });
+    casper.run(function() {
+        test.done();
+    });
+});
+
+casper.test.begin('Tester.begin() queues test cases', function(test) {
+    test.assertEquals(order, ['first', 'second'], 'Tester.begin() runs queued test cases once the current one is done');
+    test.assertRaises(function(test) {
+        test.begin('no function');
+    }, [test], 'Tester.begin() requires a test case function');
+    test.done(2);
+});
+
+casper.test.begin('Tester.begin() ignores late done() calls of timed out test cases', 2, function(test) {
+    var tester = require('tester').create(require('casper').create(), {timeout: 100}), late;
+    tester.reporter.write = function() {};
+    tester.currentTestFile = 'plop.js';
+    tester.begin('slow', function(slow) {
+        late = slow;
+    });
+    tester.begin('next', function() {});
+    setTimeout(function() {
+        test.assertEquals(tester.currentSuite.description, 'next', 'Tester.begin() starts the next test case on timeout');
+        late.done();
+        test.assertEquals(tester.currentSuite.description, 'next', 'Tester.begin() ignores done() calls of timed out test cases');
+        tester.done();
+        test.done();
+    }, 150);
+});
+
+casper.test.begin('Tester.begin() stops the navigation steps of timed out test cases', 1, function(test) {
+    var other = require('casper').create(), tester = require('tester').create(other, {timeout: 100});
+    tester.reporter.write = function() {};
+    tester.currentTestFile = 'plop.js';
+    tester.begin('slow', function() {
+        other.start().wait(300);
+        other.run(function() {
+            // legacy style done() call
+            tester.done();
+        });
+    });
+    tester.begin('next', function() {});
+    setTimeout(function() {
+        test.assertEquals(tester.currentSuite.description, 'next',
+            'Tester.begin() ignores done() calls from the run callback of timed out test cases');
+        tester.done();
+        test.done();
+    }, 500);
+});
@@ -0,0 +1,35 @@
+var rows = [];
+
+casper.test.each([{a: 1, b: 2, sum: 3}, {a: 2, b: 3, sum: 5}], 'Tester.each() sums {a} + {b}', 2, function(test, row, index) {
+    rows.push(row);
+    test.assertEquals(test.currentSuite.description, 'Tester.each() sums ' + row.a + ' + ' + row.b,
+        'Tester.each() formats descriptions using row values');
+    test.assertEquals(row.a + row.b, row.sum, 'Tester.each() passes each row to the test case');
+    test.done();
+});
+
+casper.test.each('fixtures/accounts.json', 'Tester.each() loads JSON datasets', 2, function(test, row, index) {
+    test.assertEquals(test.currentSuite.description, 'Tester.each() loads JSON datasets #' + (index + 1),
+        'Tester.each() suffixes descriptions without placeholders with the row number');
+    test.assertEquals(row.role, ['admin', 'user'][index], 'Tester.each() reads rows from a JSON file');
+    test.done();
+});
+
+casper.test.each('fixtures/accounts.csv', 'Tester.each() loads CSV dataset row {index}: {login}', 1, function(test, row, index) {
+    test.assertEquals(row, [
+        {login: 'alice', password: 's3cr3t,1', role: 'admin'},
+        {login: 'bob', password: 'p"w', role: 'user'}
+    ][index], 'Tester.each() reads rows from a CSV file');
+    test.done();
+});
+
+casper.test.begin('Tester.each() results', 3, function(test) {
+    var last = test.testResults.passes[test.testResults.passes.length - 1];
+    test.assertEquals(rows.length, 2, 'Tester.each() runs a test case per row');
+    test.assertEquals(last.testCase, 'Tester.each() loads CSV dataset row 1: bob',
+        'Tester.each() names assertion results after the test case');
+    test.assertRaises(function(test) {
+        test.each('fixtures/missing.csv', 'missing', function() {});
+    }, [test], 'Tester.each() throws on missing dataset files');
+    test.done();
+});
@@ -0,0 +1,30 @@
+function createTester(options) {
+    var tester = require('tester').create(require('casper').create(), options);
+    tester.reporter.write = function() {};
+    tester.currentTestFile = 'plop.js';
+    return tester;
+}
+
+casper.test.begin('Tester maxFailures option', 4, function(test) {
+    var tester = createTester({maxFailures: 2});
+    tester.assert(false, 'first failure');
+    test.assertNot(tester.aborted, 'Tester keeps running tests until the maximum number of failures is reached');
+    tester.queue.push(['queued', 1, function() {}]);
+    tester.assert(false, 'second failure');
+    test.assert(tester.aborted, 'Tester stops running tests once the maximum number of failures is reached');
+    test.assertEquals(tester.queue, [], 'Tester discards queued test cases once stopped');
+    tester.skipFiles(['foo.js', 'bar.js']);
+    test.assertEquals(tester.testResults.skippedFiles, ['foo.js', 'bar.js'], 'Tester records skipped test files');
+    test.done();
+});
+
+casper.test.begin('Tester failFast option', 2, function(test) {
+    var tester = createTester({failFast: true}), ran = false;
+    tester.assert(false, 'failure');
+    test.assert(tester.aborted, 'Tester stops running tests after the first failure with failFast');
+    tester.begin('not run', function() {
+        ran = true;
+    });
+    test.assertNot(ran, 'Tester does not start test cases once stopped');
+    test.done();
+});
@@ -0,0 +1,61 @@
+// @tags tester
+var fs = require('fs');
+var fixtures = fs.pathJoin(fs.dirname(fs.absolute(casper.test.currentTestFile)), 'fixtures');
+var files = ['smoke.txt', 'slow.txt', 'untagged.txt'].map(function(file) {
+    return fs.pathJoin(fixtures, file);
+});
+var options = {
+    exclude: casper.test.options.exclude,
+    grep:    casper.test.options.grep,
+    tags:    casper.test.options.tags
+};
+var filtered = [];
+
+function names(files) {
+    return files.map(function(file) {
+        return file.split('/').pop();
+    });
+}
+
+casper.test.begin('Tester test files filtering', 8, function(test) {
+    test.assertEquals(test.getFileTags(files[1]), ['smoke', 'slow'], 'Tester.getFileTags() reads @tags comments');
+    test.assertEquals(test.getFileTags(files[2]), [], 'Tester.getFileTags() ignores @tags outside of comments');
+    test.options.tags = ['smoke'];
+    test.assertEquals(names(test.filterTestFiles(files)), ['smoke.txt', 'slow.txt'],
+        'Tester.filterTestFiles() retains files having a selected tag');
+    test.options.tags = ['smoke', '!slow'];
+    test.assertEquals(names(test.filterTestFiles(files)), ['smoke.txt'],
+        'Tester.filterTestFiles() filters out files having an excluded tag');
+    test.options.tags = ['!slow'];
+    test.assertEquals(names(test.filterTestFiles(files)), ['smoke.txt', 'untagged.txt'],
+        'Tester.filterTestFiles() retains untagged files when only excluding tags');
+    test.options.tags = [];
+    test.options.exclude = ['**/fixtures/s*.txt'];
+    test.assertEquals(names(test.filterTestFiles(files)), ['untagged.txt'],
+        'Tester.filterTestFiles() filters out files matching an exclusion glob');
+    test.options.exclude = ['untagged.txt'];
+    test.assertEquals(names(test.filterTestFiles(files)), ['smoke.txt', 'slow.txt'],
+        'Tester.filterTestFiles() matches exclusion globs against file names');
+    test.options.exclude = options.exclude;
+    test.options.tags = options.tags;
+    test.options.grep = 'foo\\d';
+    test.assert(test.matchesGrep('a foo2 test') && !test.matchesGrep('a foo test'),
+        'Tester.matchesGrep() matches descriptions against the grep pattern');
+    test.options.grep = 'Tester grep: kept';
+    test.done();
+});
+
+casper.test.on('test.filtered', function(description) {
+    filtered.push(description);
+    this.options.grep = options.grep;
+});
+
+casper.test.begin('Tester grep: filtered', 1, function(test) {
+    test.fail('Tester grep option filters out test cases');
+    test.done();
+});
+
+casper.test.begin('Tester grep: kept', 1, function(test) {
+    test.assertEquals(filtered, ['Tester grep: filtered'], 'Tester grep option filters out test cases');
+    test.done();
+});
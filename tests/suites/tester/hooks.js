@@ -0,0 +1,35 @@
+var tornDown = false;
+
+casper.test.begin('Tester.begin() supports test case hooks', 2, {
+    setUp: function(test) {
+        this.value = 42;
+    },
+
+    tearDown: function(test) {
+        tornDown = this.value === 42;
+    },
+
+    test: function(test) {
+        test.assertEquals(this.value, 42, 'Tester.begin() calls the setUp hook before the test case');
+        test.assertNot(tornDown, 'Tester.begin() does not call the tearDown hook before the test case is done');
+        test.done();
+    }
+});
+
+casper.test.begin('Tester.begin() calls the tearDown hook', 1, function(test) {
+    test.assert(tornDown, 'Tester.begin() calls the tearDown hook once the test case is done');
+    test.done();
+});
+
+casper.test.begin('Casper.reset() resets the casper state', 5, function(test) {
+    casper.start('tests/site/index.html');
+    casper.run(function() {
+        this.reset();
+        test.assertEquals(this.steps.length, 0, 'Casper.reset() clears the navigation steps');
+        test.assertEquals(this.step, -1, 'Casper.reset() resets the current step index');
+        test.assertEquals(this.history.length, 0, 'Casper.reset() clears the navigation history');
+        test.assertEquals(this.resources.length, 0, 'Casper.reset() clears the loaded resources');
+        test.assertNot(this.started, 'Casper.reset() requires start() to be called again');
+        test.done();
+    });
+});
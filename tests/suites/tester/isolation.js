@@ -0,0 +1,16 @@
+casper.test.begin('Tester isolates test files from each other', 3, function(test) {
+    var other = require('casper').create(), tester = require('tester').create(other);
+    tester.reporter.write = function() {};
+    tester.exec = function() {
+        // stands for the test file contents
+        other.on('isolation.test', function() {});
+        tester.on('isolation.test', function() {});
+        other.start();
+    };
+    tester.runTest('plop.js');
+    tester.terminate('plop.js');
+    test.assertEquals(other.listeners('isolation.test').length, 0, 'Tester discards casper listeners added by a test file');
+    test.assertEquals(tester.listeners('isolation.test').length, 0, 'Tester discards tester listeners added by a test file');
+    test.assertNot(other.started, 'Tester resets the casper instance between test files');
+    test.done();
+});
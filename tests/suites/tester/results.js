@@ -0,0 +1,59 @@
+var fs = require('fs');
+
+function createTester() {
+    var tester = require('tester').create(casper);
+    tester.reporter.write = function() {};
+    tester.currentTestFile = 'plop.js';
+    return tester;
+}
+
+casper.test.begin('Tester.shardTestFiles()', 3, function(test) {
+    var files = ['a.js', 'b.js', 'c.js', 'd.js', 'e.js'];
+    test.assertEquals(test.shardTestFiles(files, 0, 2), ['a.js', 'c.js', 'e.js'],
+        'Tester.shardTestFiles() retrieves the test files of the first shard');
+    test.assertEquals(test.shardTestFiles(files, 1, 2), ['b.js', 'd.js'],
+        'Tester.shardTestFiles() retrieves the test files of another shard');
+    test.assertRaises(test.shardTestFiles, [files, 2, 2], 'Tester.shardTestFiles() throws on invalid shards');
+    test.done();
+});
+
+casper.test.begin('Tester.saveResults() and Tester.loadResults()', 7, function(test) {
+    var file = fs.pathJoin(fs.workingDirectory, '_casper_test_results.json');
+    var worker = createTester(), merger = createTester();
+    worker.assert(true, 'plop');
+    worker.assert(false, 'plip');
+    worker.skip(1, 'plup');
+    worker.skipFiles(['skipped.js']);
+    worker.testResults.suites.push({file: fs.absolute('plop.js'), duration: 42, output: 'some logs'});
+    worker.saveResults(file);
+    merger.assert(true, 'plap');
+    merger.loadResults(file);
+    fs.remove(file);
+    test.assertEquals(merger.testResults.passed, 2, 'Tester.loadResults() merges passed tests');
+    test.assertEquals(merger.testResults.failed, 1, 'Tester.loadResults() merges failed tests');
+    test.assertEquals(merger.testResults.failures[0].message, 'plip', 'Tester.loadResults() merges failures');
+    test.assertEquals(merger.testResults.skipped, 1, 'Tester.loadResults() merges skipped tests');
+    test.assertEquals(merger.testResults.skippedFiles, ['skipped.js'], 'Tester.loadResults() merges skipped test files');
+    test.assertEquals(merger.testResults.suites.length, 1, 'Tester.loadResults() merges test file suites');
+    test.assertMatch(merger.exporter.getXML(), /time="0.042"/, 'Tester.loadResults() merges results into the xUnit export');
+    test.done();
+});
+
+casper.test.begin('Tester.loadResults() reporting', 3, function(test) {
+    var file = fs.pathJoin(fs.workingDirectory, '_casper_test_results.json');
+    var worker = createTester(), merger = createTester(), lines = [];
+    worker.assert(true, 'plop');
+    worker.assert(false, 'plip');
+    worker.saveResults(file);
+    merger.setReporter('tap').write = function(text) {
+        lines.push(text);
+    };
+    merger.assert(true, 'plap');
+    merger.loadResults(file);
+    fs.remove(file);
+    merger.reporter.render(merger.testResults);
+    test.assertEquals(lines.slice(0, 2), ['ok 1 - plap', 'ok 2 - plop'], 'Tester.loadResults() reports merged passed tests');
+    test.assertEquals(lines[2], 'not ok 3 - plip', 'Tester.loadResults() reports merged failed tests');
+    test.assert(lines.indexOf('1..3') > -1, 'Tester.loadResults() merged results are counted by the reporter');
+    test.done();
+});
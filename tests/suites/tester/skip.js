@@ -0,0 +1,7 @@
+casper.test.begin('Tester.skip() skips planned tests', 4, function(test) {
+    var skipped = test.testResults.skipped;
+    test.skip(2, 'testing Tester.skip()');
+    test.assertEquals(test.testResults.skipped, skipped + 2, 'Tester.skip() records skipped tests');
+    test.assertEquals(test.currentSuite.executed, 3, 'Tester.skip() counts skipped tests as executed ones');
+    test.done();
+});
@@ -13,4 +13,21 @@ casper.test.assertMatch(xunit.getXML(), /<testcase classname="(.*)plop" name="It
 xunit.addSuccess(require('fs').workingDirectory + '/plip.js', 'Failure');
 casper.test.assertMatch(xunit.getXML(), /<testcase classname="(.*)plip" name="Failure"/, 'XUnitExporter.addFailure() handles class name');
 
+// suites, counters and timings
+xunit = require('xunit').create();
+xunit.addSuccess('foo', 'bar', 1200);
+casper.test.assertMatch(xunit.getXML(), /<testsuites><testsuite name="foo"/, 'XUnitExporter groups test cases in test suites');
+casper.test.assertMatch(xunit.getXML(), /<testcase classname="foo" name="bar" time="1.200"/, 'XUnitExporter.addSuccess() handles test duration');
+xunit.addError('foo', 'baz', 'oops', 'uncaughtError', 10);
+casper.test.assertMatch(xunit.getXML(), /<testcase classname="foo" name="baz" time="0.010"><error type="uncaughtError">oops/, 'XUnitExporter.addError() adds an errored testcase');
+xunit.addSkip('foo', 'boz', 'not supported');
+casper.test.assertMatch(xunit.getXML(), /<testcase classname="foo" name="boz"><skipped message="not supported">/, 'XUnitExporter.addSkip() adds a skipped testcase');
+xunit.addFailure('bar', 'baz', 'wrong', 'chucknorriz');
+casper.test.assertMatch(xunit.getXML(), /<testsuite name="foo" tests="3" failures="0" errors="1" skipped="1">/, 'XUnitExporter updates test suite counters');
+casper.test.assertMatch(xunit.getXML(), /<testsuite name="bar" tests="1" failures="1" errors="0" skipped="0">/, 'XUnitExporter adds a test suite per class name');
+xunit.setSuiteDuration('foo', 4242);
+casper.test.assertMatch(xunit.getXML(), /<testsuite name="foo"[^>]+time="4.242">/, 'XUnitExporter.setSuiteDuration() sets test suite duration');
+xunit.setSuiteOutput('foo', '[info] [phantom] plop');
+casper.test.assertMatch(xunit.getXML(), /<system-out>\[info\] \[phantom\] plop<\/system-out><\/testsuite>/, 'XUnitExporter.setSuiteOutput() sets test suite output');
+
 casper.test.done();